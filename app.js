@@ -2,40 +2,300 @@
 const state = {
     cuffChart: null,
     pulseChart: null,
+    envelopeChart: null, // Oscillation amplitude against cuff pressure
+    envelopeResult: null, // Analyzer result whose MAP/SYS/DIA lines the envelope chart shows
     isLogging: false,
     isPaused: false,
-    isMonitoring: false, // New state for threshold logic
-    monitoringThreshold: 25, // Default Threshold
     startTime: null, // For timer
-    timerInterval: null // For live timer updates
+    timerInterval: null, // For live timer updates
+    linkMark: null, // LinkStats snapshot taken when the current session began
+    healthInterval: null, // Connection health panel refresh
+    scriptSource: null, // Editor text the console script was loaded from
+    deviceKey: null, // VID:PID (or 'simulator') of the connected device
+    calibration: null, // Calibration applied to live cuff readings
+    staticInterval: null, // Static test status refresh
+    replayMode: null, // Mode of the reopened session (null for recording files)
+    filterChain: null, // FilterChain settings the pipelines run (see applyFilterSettings())
+    linkRate: 0, // Sample rate the filters were last matched to (see followLinkRate())
+    isReplaying: false, // A recording is loaded in the player: its pipeline is the one on screen
+    heartRate: null, // BeatDetector.getStats() after the latest beat
+    envelopePoints: [], // LiveEnvelope points of this run
+    deflationBand: { targetRate: 3, tolerance: 1 }, // mmHg/s, see readDeflationBand()
+    markers: [], // [{index, color}] MAP/SYS/DIA rows in chartData from Find Max
+    chartOrigin: null, // Time (ms) at x = 0 on the cuff and pulse charts
+    lastSession: null // {id, results} of the latest saved or reopened session
 };
 
 // Modules
 const serial = new SerialManager();
+const inspector = new ProtocolInspector();
+const commands = new CommandChannel(serial);
+const commandConsole = new CommandConsole(serial, commands);
+const safety = new SafetyMonitor();
 const logger = new Logger();
+const analyzer = new OscillometricAnalyzer();
+const player = new RecordingPlayer();
+const sessionStore = new SessionStore();
+const recorder = new SessionRecorder();
+const calSampler = new CalibrationSampler();
+const leakTest = new LeakTest();
+const replayPipeline = new SignalPipeline(); // The live pipeline runs next to the decoder (SerialManager)
+const trigger = new Trigger();
 
 // UI Elements
 const ui = {
     btnConnect: document.getElementById('btn-connect'),
     statusLight: document.getElementById('status-light'),
     statusText: document.getElementById('connection-status'),
+    deviceState: document.getElementById('device-state'),
     baudRate: document.getElementById('baud-rate'),
+    baudCustom: document.getElementById('baud-custom'),
+    dataBits: document.getElementById('data-bits'),
+    parity: document.getElementById('parity'),
+    stopBits: document.getElementById('stop-bits'),
+    flowControl: document.getElementById('flow-control'),
+    bufferSize: document.getElementById('buffer-size'),
+    dataSource: document.getElementById('data-source'),
+    portSettings: document.getElementById('port-settings'),
+    portSelect: document.getElementById('port-select'),
+    autoReconnect: document.getElementById('auto-reconnect'),
+    protocolMode: document.getElementById('protocol-mode'),
+    lineEnding: document.getElementById('line-ending'),
+    textSettings: document.getElementById('text-settings'),
+    textFormat: document.getElementById('text-format'),
+    textRegexGroup: document.getElementById('text-regex-group'),
+    textCsvGroup: document.getElementById('text-csv-group'),
+    textPattern: document.getElementById('text-pattern'),
+    textDelimiter: document.getElementById('text-delimiter'),
+    textCuffField: document.getElementById('text-cuff-field'),
+    textPulseField: document.getElementById('text-pulse-field'),
+    sendMode: document.getElementById('send-mode'),
+    sendInput: document.getElementById('send-input'),
+    btnSend: document.getElementById('btn-send'),
+    macroNames: document.getElementById('macro-names'),
+    scriptSelect: document.getElementById('script-select'),
+    scriptDelay: document.getElementById('script-delay'),
+    scriptText: document.getElementById('script-text'),
+    btnScriptSave: document.getElementById('btn-script-save'),
+    btnScriptDelete: document.getElementById('btn-script-delete'),
+    btnScriptStep: document.getElementById('btn-script-step'),
+    btnScriptRun: document.getElementById('btn-script-run'),
+    btnScriptStop: document.getElementById('btn-script-stop'),
+    scriptStatus: document.getElementById('script-status'),
+    simSettings: document.getElementById('sim-settings'),
+    simSys: document.getElementById('sim-sys'),
+    simDia: document.getElementById('sim-dia'),
+    simHr: document.getElementById('sim-hr'),
+    simNoise: document.getElementById('sim-noise'),
+    simDeflation: document.getElementById('sim-deflation'),
+    simLeak: document.getElementById('sim-leak'),
+    simStep: document.getElementById('sim-step'),
+    simNumbered: document.getElementById('sim-numbered'),
     terminal: document.getElementById('terminal-view'),
     btnClearTerm: document.getElementById('btn-clear-terminal'),
     autoscroll: document.getElementById('autoscroll'),
+    inspectorMode: document.getElementById('inspector-mode'),
+    inspectorCounts: document.getElementById('inspector-counts'),
+    inspectorGood: document.getElementById('inspector-good'),
+    inspectorBad: document.getElementById('inspector-bad'),
+    inspectorSkipped: document.getElementById('inspector-skipped'),
     btnLog: document.getElementById('btn-log'),
+    logFormat: document.getElementById('log-format'),
+    healthFrames: document.getElementById('health-frames'),
+    healthChecksum: document.getElementById('health-checksum'),
+    healthLength: document.getElementById('health-length'),
+    healthResync: document.getElementById('health-resync'),
+    healthOverflows: document.getElementById('health-overflows'),
+    healthUnparsed: document.getElementById('health-unparsed'),
+    healthRate: document.getElementById('health-rate'),
+    healthGaps: document.getElementById('health-gaps'),
     logBytes: document.getElementById('log-bytes'),
     logFilename: document.getElementById('log-filename'),
     btnStart: document.getElementById('btn-start'),
     btnAbort: document.getElementById('btn-abort'),
     btnLinear: document.getElementById('btn-linear'),
     btnClearGraphs: document.getElementById('btn-clear-graphs'),
+    btnFollow: document.getElementById('btn-follow'),
+    cuffCursorReadout: document.getElementById('cuff-cursor-readout'),
+    pulseCursorReadout: document.getElementById('pulse-cursor-readout'),
+
+    // Playback
+    replayFile: document.getElementById('replay-file'),
+    btnLoadRecording: document.getElementById('btn-load-recording'),
+    btnReplayPlay: document.getElementById('btn-replay-play'),
+    btnReplayEject: document.getElementById('btn-replay-eject'),
+    replaySeek: document.getElementById('replay-seek'),
+    replaySpeed: document.getElementById('replay-speed'),
+    replayFilename: document.getElementById('replay-filename'),
+    replayPosition: document.getElementById('replay-position'),
+
+    // Session History
+    sessionList: document.getElementById('session-list'),
 
     // Readouts
     cuffValue: document.getElementById('cuff-pressure'),
     maxValue: document.getElementById('max-pressure'),
+    sysValue: document.getElementById('sys-pressure'),
+    diaValue: document.getElementById('dia-pressure'),
     durationValue: document.getElementById('duration-value'),
+    hrValue: document.getElementById('hr-value'),
+    hrvValue: document.getElementById('hrv-value'),
+    deflRate: document.getElementById('defl-rate'),
+    deflRateSub: document.getElementById('defl-rate-sub'),
     btnFindMax: document.getElementById('btn-find-max'),
+
+    // Safety
+    alarmBanner: document.getElementById('alarm-banner'),
+    alarmMessage: document.getElementById('alarm-message'),
+    btnAlarmAck: document.getElementById('btn-alarm-ack'),
+    safetyMaxPressure: document.getElementById('safety-max-pressure'),
+    safetyDwellLevel: document.getElementById('safety-dwell-level'),
+    safetyDwellTime: document.getElementById('safety-dwell-time'),
+    safetyMinRate: document.getElementById('safety-min-rate'),
+
+    // Calibration
+    calRaw: document.getElementById('cal-raw'),
+    calActive: document.getElementById('cal-active'),
+    calReference: document.getElementById('cal-reference'),
+    btnCalCapture: document.getElementById('btn-cal-capture'),
+    calPoints: document.getElementById('cal-points'),
+    calMethod: document.getElementById('cal-method'),
+    btnCalSave: document.getElementById('btn-cal-save'),
+    btnCalClear: document.getElementById('btn-cal-clear'),
+    btnCalRemove: document.getElementById('btn-cal-remove'),
+
+    // Signal Filters
+    filterSource: document.getElementById('filter-source'),
+    filterRate: document.getElementById('filter-rate'),
+    filterMedian: document.getElementById('filter-median'),
+    filterMedianSize: document.getElementById('filter-median-size'),
+    filterNotch: document.getElementById('filter-notch'),
+    filterNotchFrequency: document.getElementById('filter-notch-frequency'),
+    filterBandpass: document.getElementById('filter-bandpass'),
+    filterBandpassLow: document.getElementById('filter-bandpass-low'),
+    filterBandpassHigh: document.getElementById('filter-bandpass-high'),
+    filterBaseline: document.getElementById('filter-baseline'),
+    filterBaselineSeconds: document.getElementById('filter-baseline-seconds'),
+    filterAverage: document.getElementById('filter-average'),
+    filterAverageSize: document.getElementById('filter-average-size'),
+    filterShowRaw: document.getElementById('filter-show-raw'),
+
+    // Trigger
+    triggerSource: document.getElementById('trigger-source'),
+    triggerEdge: document.getElementById('trigger-edge'),
+    triggerLevel: document.getElementById('trigger-level'),
+    triggerPre: document.getElementById('trigger-pre'),
+    triggerRearm: document.getElementById('trigger-rearm'),
+    triggerMode: document.getElementById('trigger-mode'),
+    triggerPreset: document.getElementById('trigger-preset'),
+    triggerStatus: document.getElementById('trigger-status'),
+    btnTriggerArm: document.getElementById('btn-trigger-arm'),
+
+    // Deflation
+    deflTarget: document.getElementById('defl-target'),
+    deflTolerance: document.getElementById('defl-tolerance'),
+    deflAverage: document.getElementById('defl-average'),
+    deflSteps: document.getElementById('defl-steps'),
+    deflFlags: document.getElementById('defl-flags'),
+
+    // Static Test
+    staticTarget: document.getElementById('static-target'),
+    staticSettle: document.getElementById('static-settle'),
+    staticWindow: document.getElementById('static-window'),
+    staticMaxLeak: document.getElementById('static-max-leak'),
+    staticMaxSd: document.getElementById('static-max-sd'),
+    staticReference: document.getElementById('static-reference'),
+    staticMaxError: document.getElementById('static-max-error'),
+    btnStaticTest: document.getElementById('btn-static-test'),
+    staticStatus: document.getElementById('static-status'),
+    staticReport: document.getElementById('static-report'),
+
+    // Analysis Config
+    sysRatio: document.getElementById('sys-ratio'),
+    diaRatio: document.getElementById('dia-ratio'),
+};
+
+/**
+ * Draws a dashed line wherever the main dataset has a gap (null sample).
+ */
+const gapMarkerPlugin = {
+    id: 'gapMarkers',
+    afterDatasetsDraw(chart) {
+        const data = chart.data.datasets[0].data;
+        const points = chart.getDatasetMeta(0).data;
+        const { ctx, chartArea } = chart;
+
+        ctx.save();
+        ctx.strokeStyle = 'rgba(245, 158, 11, 0.9)';
+        ctx.fillStyle = 'rgba(245, 158, 11, 0.9)';
+        ctx.font = '10px sans-serif';
+        ctx.setLineDash([4, 4]);
+        for (let i = 0; i < data.length; i++) {
+            if (data[i].y !== null || !points[i]) continue;
+            const x = points[i].x;
+            if (x < chartArea.left || x > chartArea.right) continue;
+            ctx.beginPath();
+            ctx.moveTo(x, chartArea.top);
+            ctx.lineTo(x, chartArea.bottom);
+            ctx.stroke();
+            ctx.fillText('gap', x + 3, chartArea.top + 10);
+        }
+        ctx.restore();
+    }
+};
+
+/**
+ * Shades the deflation tolerance band on the rate axis while the rate series is shown.
+ */
+const rateBandPlugin = {
+    id: 'rateBand',
+    beforeDatasetsDraw(chart) {
+        const y1 = chart.scales.y1;
+        if (!y1 || !chart.isDatasetVisible(2)) return;
+        const { ctx, chartArea } = chart;
+        const { targetRate, tolerance } = state.deflationBand;
+        const top = y1.getPixelForValue(targetRate + tolerance);
+        const bottom = y1.getPixelForValue(targetRate - tolerance);
+
+        ctx.save();
+        ctx.fillStyle = 'rgba(245, 158, 11, 0.08)';
+        ctx.fillRect(chartArea.left, top, chartArea.right - chartArea.left, bottom - top);
+        ctx.restore();
+    }
+};
+
+/**
+ * Draws the MAP/SYS/DIA pressures as labelled vertical lines on the envelope chart.
+ */
+const envelopeMarkerPlugin = {
+    id: 'envelopeMarkers',
+    afterDatasetsDraw(chart) {
+        const result = state.envelopeResult;
+        if (!result) return;
+        const { ctx, chartArea, scales } = chart;
+        const lines = [
+            ['SYS', result.sbp, MARKER_COLORS.sys],
+            ['MAP', result.map, MARKER_COLORS.map],
+            ['DIA', result.dbp, MARKER_COLORS.dia]
+        ];
+
+        ctx.save();
+        ctx.font = '10px sans-serif';
+        ctx.setLineDash([4, 4]);
+        for (const [label, pressure, color] of lines) {
+            if (pressure === null) continue;
+            const x = scales.x.getPixelForValue(pressure);
+            if (x < chartArea.left || x > chartArea.right) continue;
+            ctx.strokeStyle = color;
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            ctx.moveTo(x, chartArea.top);
+            ctx.lineTo(x, chartArea.bottom);
+            ctx.stroke();
+            ctx.fillText(`${label} ${pressure.toFixed(0)}`, x + 3, chartArea.top + 10);
+        }
+        ctx.restore();
+    }
 };
 
 /**
@@ -48,12 +308,17 @@ function initCharts() {
         animation: false,
         plugins: {
             legend: { display: false },
-            tooltip: { mode: 'index', intersect: false }
+            tooltip: { mode: 'nearest', axis: 'x', intersect: false }
         },
         scales: {
             x: {
+                type: 'linear', // Seconds since the charts were cleared
                 grid: { display: false }, // No Grids
-                ticks: { display: false }
+                ticks: {
+                    color: '#94a3b8',
+                    maxRotation: 0,
+                    callback: value => `${+value.toFixed(2)} s`
+                }
             },
             y: {
                 grid: { display: false }, // No Grids
@@ -71,7 +336,6 @@ function initCharts() {
     state.cuffChart = new Chart(ctxCuff, {
         type: 'line',
         data: {
-            labels: [],
             datasets: [{
                 data: [],
                 borderColor: '#3b82f6',
@@ -84,13 +348,54 @@ function initCharts() {
                 data: [], // Marker Dataset
                 borderColor: 'transparent',
                 backgroundColor: '#ef4444',
+                pointBackgroundColor: [], // Per-marker colors (MAP/SYS/DIA)
                 pointRadius: 6,
                 pointHoverRadius: 8,
                 fill: false,
                 type: 'line' // or scatter
+            }, {
+                data: [], // Deflation rate (LINEAR runs), right-hand axis
+                yAxisID: 'y1',
+                hidden: true,
+                borderColor: 'rgba(245, 158, 11, 0.8)',
+                borderWidth: 1.5,
+                pointRadius: 0,
+                fill: false,
+                tension: 0
+            }, {
+                data: [], // Rate samples outside the tolerance band
+                yAxisID: 'y1',
+                hidden: true,
+                borderColor: 'transparent',
+                backgroundColor: '#ef4444',
+                pointRadius: 2,
+                fill: false,
+                showLine: false
+            }, {
+                data: [], // Valve step markers (aligned with cuff data)
+                borderColor: 'transparent',
+                backgroundColor: '#f59e0b',
+                pointStyle: 'triangle',
+                rotation: 180,
+                pointRadius: 5,
+                fill: false,
+                showLine: false
             }]
         },
-        options: commonOptions
+        options: {
+            ...commonOptions,
+            scales: {
+                ...commonOptions.scales,
+                y1: {
+                    display: 'auto',
+                    position: 'right',
+                    grid: { display: false },
+                    ticks: { color: '#f59e0b' },
+                    title: { display: true, text: 'mmHg/s', color: '#f59e0b' }
+                }
+            }
+        },
+        plugins: [gapMarkerPlugin, rateBandPlugin, chartNavigator.plugin]
     });
 
     // Pulse Chart
@@ -102,7 +407,6 @@ function initCharts() {
     state.pulseChart = new Chart(ctxPulse, {
         type: 'line',
         data: {
-            labels: [],
             datasets: [{
                 data: [],
                 borderColor: '#10b981',
@@ -115,67 +419,231 @@ function initCharts() {
                 data: [], // Marker Dataset
                 borderColor: 'transparent',
                 backgroundColor: '#ef4444',
+                pointBackgroundColor: [], // Per-marker colors (MAP/SYS/DIA)
                 pointRadius: 6,
                 pointHoverRadius: 8,
                 fill: false,
                 type: 'line'
+            }, {
+                data: [], // Beat Marker Dataset (aligned with pulse data)
+                borderColor: 'transparent',
+                backgroundColor: '#f59e0b',
+                pointStyle: 'triangle',
+                pointRadius: 5,
+                pointHoverRadius: 7,
+                fill: false,
+                type: 'line'
+            }, {
+                data: [], // Raw pulse channel, shown next to the filtered trace on request
+                hidden: true,
+                borderColor: 'rgba(148, 163, 184, 0.6)',
+                borderWidth: 1,
+                pointRadius: 0,
+                fill: false,
+                tension: 0
+            }]
+        },
+        options: commonOptions,
+        plugins: [gapMarkerPlugin, chartNavigator.plugin]
+    });
+
+    chartNavigator.attach(state.cuffChart, {
+        readout: ui.cuffCursorReadout,
+        unit: 'mmHg',
+        valueAt: time => chartData.valueAt('cuff', time)
+    });
+    chartNavigator.attach(state.pulseChart, {
+        readout: ui.pulseCursorReadout,
+        unit: 'mmHg',
+        valueAt: time => chartData.valueAt('pulse', time)
+    });
+    chartNavigator.onRender = renderCharts;
+    chartNavigator.onChange = () => {
+        ui.btnFollow.disabled = chartNavigator.isFollowing;
+    };
+
+    // Amplitude vs Pressure Chart
+    const ctxEnvelope = document.getElementById('envelopeChart').getContext('2d');
+    state.envelopeChart = new Chart(ctxEnvelope, {
+        type: 'scatter',
+        data: {
+            datasets: [{
+                data: [], // Beat amplitudes {x: cuff, y: amplitude}
+                backgroundColor: 'rgba(16, 185, 129, 0.6)',
+                pointRadius: 3
+            }, {
+                data: [], // Smoothed envelope, by pressure
+                type: 'line',
+                borderColor: '#10b981',
+                borderWidth: 2,
+                pointRadius: 0,
+                fill: false,
+                tension: 0.3
             }]
         },
-        options: commonOptions
+        options: {
+            ...commonOptions,
+            plugins: {
+                legend: { display: false },
+                tooltip: { intersect: false }
+            },
+            scales: {
+                x: {
+                    type: 'linear',
+                    grid: { display: false },
+                    ticks: { color: '#94a3b8', maxRotation: 0 },
+                    title: { display: true, text: 'Cuff (mmHg)', color: '#94a3b8' }
+                },
+                y: {
+                    grid: { display: false },
+                    ticks: { color: '#94a3b8' },
+                    beginAtZero: true
+                }
+            }
+        },
+        plugins: [envelopeMarkerPlugin]
     });
 }
 
 /**
- * Handle incoming serial data packet
- * @param {Object} data {cuff, pulse}
+ * Show an envelope and the pressures derived from it.
+ * @param {Array<{pressure: number, amplitude: number, smoothed: number}>} envelope
+ * @param {Object|null} result From OscillometricAnalyzer.evaluate()/analyze()
  */
-function handleSerialData(data) {
-    const { cuff, pulse } = data;
+function renderEnvelope(envelope, result) {
+    const [points, line] = state.envelopeChart.data.datasets;
+    points.data = envelope.map(p => ({ x: p.pressure, y: p.amplitude }));
+    line.data = envelope
+        .map(p => ({ x: p.pressure, y: p.smoothed }))
+        .sort((a, b) => a.x - b.x);
+    state.envelopeResult = result;
+    state.envelopeChart.update('none');
+}
 
-    // 1. Update Readout
-    if (ui.cuffValue) {
-        ui.cuffValue.textContent = cuff.toFixed(2);
-    }
+/**
+ * Redraw the live envelope after a new beat.
+ */
+function updateEnvelopeChart() {
+    readAnalyzerRatios();
+    const envelope = analyzer.smooth(state.envelopePoints);
+    renderEnvelope(envelope, analyzer.evaluate(envelope));
+}
 
-    // 2. Logging
-    if (state.isLogging) {
-        const time = new Date().toISOString();
-        const csvLine = `${time},${cuff},${pulse}\n`;
-        logger.write(csvLine);
-        ui.logBytes.textContent = logger.bytesWritten.toLocaleString();
-    }
+function resetEnvelope() {
+    state.envelopePoints = [];
+    callPipeline('resetEnvelope');
+    renderEnvelope([], null);
+}
 
+/**
+ * Run a SignalPipeline method on the pipeline behind the data on screen:
+ * the replay's, or the live one (see SerialManager.callPipeline()).
+ * @returns {Promise<*>} What the method returned
+ */
+function callPipeline(method, ...args) {
+    if (state.isReplaying) return Promise.resolve(replayPipeline[method](...args));
+    return serial.callPipeline(method, ...args);
+}
+
+/**
+ * Handle a batch of analysed samples (SignalPipeline.process()), live or replayed.
+ * Per-sample work is what has to see every sample (safety, recording,
+ * logging, the trigger and the charts); readouts are updated once per batch.
+ * @param {Object} batch
+ */
+function handleSamples(batch) {
+    const n = batch.time.length;
+    if (n === 0) return;
+    const live = !!serial.port;
+    const events = batch.events;
+    let next = 0; // Next entry of events
+    let deflating = null;
+
+    for (let i = 0; i < n; i++) {
+        const now = batch.time[i];
+        const cuff = batch.cuff[i];
+        const pulse = batch.pulse[i];
+        const oscillation = batch.oscillation[i];
+        deflating = Number.isNaN(batch.rate[i]) ? null : { rate: batch.rate[i], inBand: batch.inBand[i] === 1 };
+
+        // 1. Safety, recording and static test (live device only; replays must never send commands)
+        if (live) {
+            const violation = safety.check(cuff, now);
+            if (violation) handleSafetyViolation(violation);
+            recorder.add(now, cuff, pulse);
+            if (leakTest.isRunning) {
+                const report = leakTest.add(cuff, now);
+                if (report) completeStaticTest(report);
+            }
+        }
 
+        // 2. Logging
+        if (state.isLogging) logger.write({ type: 'sample', time: now, cuff, pulse });
 
-    // 3. Update Charts
-    // 3. Update Charts
-    if (!state.isPaused) {
-        // Threshold Check: Only start visualization if Cuff > Threshold
-        if (cuff > state.monitoringThreshold) {
-            state.isMonitoring = true;
+        // 3. Update Charts: the trigger decides what is captured
+        if (!state.isPaused) {
+            const { event, samples } = trigger.process({ time: now, cuff, pulse: oscillation, rawPulse: pulse, deflating });
+            if (event === 'trigger' && chartData.length > 0) clearCapture(); // A new capture replaces the last one
+            for (const s of samples) {
+                requestChartUpdate(s.time, s.cuff, s.pulse, s.rawPulse, s.deflating);
+            }
+            if (event) {
+                logEvent(event === 'trigger' ? `TRIGGER ${trigger.describe()}` : 'TRIGGER capture ended');
+                updateTriggerStatus();
+            }
         }
 
-        // If monitoring started (or pressure allows), buffer data
-        // Optimization: Buffer data instead of direct update
-        if (state.isMonitoring) {
-            requestChartUpdate(cuff, pulse);
+        // 4. Beat and valve step markers (only while plotting)
+        for (; next < events.length && events[next].index === i; next++) {
+            const { type, lag } = events[next];
+            if (state.isPaused || !trigger.isCapturing) continue;
+            if (type === 'beat') markBeat(lag);
+            else markStep(lag);
         }
+    }
+
+    // 5. Readouts
+    if (ui.cuffValue) ui.cuffValue.textContent = batch.cuff[n - 1].toFixed(2);
+    if (live) sampleCalibration(batch);
+    if (state.isLogging) ui.logBytes.textContent = logger.bytesWritten.toLocaleString();
+    if (deflating) updateDeflationRate(deflating);
+    if (batch.heartRate) {
+        state.heartRate = batch.heartRate;
+        updateHeartRate();
+    }
 
-        // Reset monitoring if pressure drops very low? User didn't ask, but "happen only after 25" usually means "wait for start".
-        // I will stick to "wait for start".
+    // 6. Amplitude vs pressure (deflation only; Find Max owns the chart while paused)
+    if (batch.envelope.length > 0) {
+        state.envelopePoints.push(...batch.envelope);
+        if (!state.isPaused) updateEnvelopeChart();
     }
+
+    if (batch.deflation) completeDeflationAnalysis(batch.deflation);
 }
 
-// Data Buffers for Render Loop
-const chartBuffer = {
-    cuff: [],
-    pulse: []
-};
+// Everything plotted since the charts were cleared; the charts show a decimated view
+const chartData = new SampleStore(['cuff', 'pulse', 'rawPulse', 'rate', 'rateFlags', 'steps', 'beats']);
+const chartNavigator = new ChartNavigator({ extent: () => chartData.extent() });
 let animationFrameId = null;
 
-function requestChartUpdate(cuff, pulse) {
-    chartBuffer.cuff.push(cuff);
-    chartBuffer.pulse.push(pulse);
+/**
+ * Store one plotted sample and schedule a redraw.
+ * @param {number} time Sample time (ms)
+ * @param {number|null} cuff
+ * @param {number|null} pulse Filtered oscillation signal
+ * @param {number|null} [rawPulse] Unfiltered pulse channel
+ * @param {Object|null} [deflating] DeflationAnalyzer output for this sample
+ */
+function requestChartUpdate(time, cuff, pulse, rawPulse = null, deflating = null) {
+    const rate = deflating ? deflating.rate : null;
+    if (state.chartOrigin === null) state.chartOrigin = time;
+    chartData.push((time - state.chartOrigin) / 1000, {
+        cuff,
+        pulse,
+        rawPulse,
+        rate,
+        rateFlags: rate !== null && !deflating.inBand ? rate : null
+    });
 
     if (!animationFrameId) {
         animationFrameId = requestAnimationFrame(renderLoop);
@@ -184,82 +652,140 @@ function requestChartUpdate(cuff, pulse) {
 
 function renderLoop() {
     animationFrameId = null;
+    chartNavigator.update();
+}
 
-    // Batch Update
-    const cuffData = chartBuffer.cuff;
-    const pulseData = chartBuffer.pulse;
-
-    if (cuffData.length === 0) return;
-
-    updateChartBatch(state.cuffChart, cuffData);
-    updateChartBatch(state.pulseChart, pulseData);
-
-    // Clear buffers
-    chartBuffer.cuff = [];
-    chartBuffer.pulse = [];
+/**
+ * Fill the cuff and pulse charts for a time range (chartNavigator.onRender).
+ * Each series is decimated to the chart's width; hidden ones stay empty.
+ * @param {{min: number, max: number}|null} range
+ */
+function renderCharts(range) {
+    const layout = [
+        [state.cuffChart, { 0: 'cuff', 2: 'rate', 3: 'rateFlags', 4: 'steps' }],
+        [state.pulseChart, { 0: 'pulse', 2: 'beats', 3: 'rawPulse' }]
+    ];
+    for (const [chart, series] of layout) {
+        const area = chart.chartArea;
+        const buckets = Math.max(1, Math.round(area ? area.right - area.left : chart.width || 1000));
+        for (const [index, name] of Object.entries(series)) {
+            chart.data.datasets[index].data = range && chart.isDatasetVisible(Number(index))
+                ? chartData.decimate(name, range.min, range.max, buckets)
+                : [];
+        }
+    }
+    renderMarkers(state.cuffChart, 'cuff');
+    renderMarkers(state.pulseChart, 'pulse');
 }
 
-function updateChartBatch(chart, newValues) {
-    const data = chart.data.datasets[0].data;
-    const labels = chart.data.labels;
-    const MAX_POINTS = 3000; // Optimized history limit
+/**
+ * Mark a detected beat on the pulse chart.
+ * The detector confirms a peak a few samples after it happened, so `lag`
+ * counts back from the newest sample.
+ * @param {number} lag Samples between the peak and the newest sample
+ */
+function markBeat(lag) {
+    markSample('beats', 'pulse', lag);
+}
 
-    // Bulk push
-    for (let i = 0; i < newValues.length; i++) {
-        labels.push('');
-        data.push(newValues[i]);
-    }
+/**
+ * Mark the top of a valve step on the cuff chart.
+ */
+function markStep(lag) {
+    markSample('steps', 'cuff', lag);
+}
 
-    // Bulk shift
-    const removeCount = labels.length - MAX_POINTS;
-    if (removeCount > 0) {
-        labels.splice(0, removeCount);
-        data.splice(0, removeCount);
+/**
+ * Copy a value `lag` samples back into a marker channel.
+ * @param {string} marker Marker channel
+ * @param {string} source Channel the marker sits on
+ * @param {number} lag
+ */
+function markSample(marker, source, lag) {
+    const index = chartData.length - 1 - lag;
+    if (index >= 0) chartData.set(marker, index, chartData.get(source, index));
+}
 
-        // Also shift marker dataset if it exists and has data
-        if (chart.data.datasets[1] && chart.data.datasets[1].data.length > 0) {
-            // If we have sparse data, this is tricky. State-based marker (one point) is easier to just re-calc or clear.
-            // If we rely on index, shifting data breaks index.
-            // Given "Find Max" pauses graph, shifting shouldn't happen while marker is visible!
-            // So we can safely ignore marker shifting for now as it's cleared on Resume.
-        }
-    }
+/**
+ * Update the heart rate readout from the beat detector.
+ */
+function updateHeartRate() {
+    const stats = state.heartRate;
+    if (!stats) return;
+    ui.hrValue.textContent = Math.round(stats.bpm);
+    ui.hrvValue.textContent = `SDNN ${stats.sdnn.toFixed(0)} ms`;
+}
 
-    chart.update('none');
+function resetHeartRate() {
+    state.heartRate = null;
+    callPipeline('resetBeats');
+    ui.hrValue.textContent = "--";
+    ui.hrvValue.textContent = "SDNN -- ms";
 }
 
 /**
  * Connect Button Logic
  */
 ui.btnConnect.addEventListener('click', async () => {
-    if (serial.port) {
-        // Disconnect
+    if (serial.port || serial.dropout) {
+        // Disconnect (or stop waiting for a dropped device)
         await serial.disconnect();
         return;
     }
+    await connectDevice(knownPorts[ui.portSelect.value] || null);
+});
 
-    if (!SerialManager.isSupported()) {
+/**
+ * Open the simulator or a serial port and update the UI.
+ * @param {Object|null} serialPort Previously granted port, or null for the browser picker
+ */
+async function connectDevice(serialPort) {
+    const useSimulator = ui.dataSource.value === 'simulator';
+    if (!useSimulator && !SerialManager.isSupported()) {
         alert('Web Serial API not supported in this browser. Please use Chrome or Edge.');
         return;
     }
 
-    const baud = ui.baudRate.value;
-    const result = await serial.connect(baud);
+    if (!configureProtocol()) return;
+
+    let settings;
+    try {
+        settings = SerialManager.normalizeSettings(readPortSettings());
+    } catch (error) {
+        showToast(error.message, 'error');
+        return;
+    }
+
+    const port = useSimulator ? new SimulatedPort(readSimSettings()) : serialPort;
+    // A port picked in the browser (or plugged in) opens with its saved settings;
+    // the one chosen in the list uses the form, which was filled from them.
+    const listed = serialPort && serialPort === knownPorts[ui.portSelect.value];
+    const result = await serial.connect(settings, port, { preferSaved: !useSimulator && !listed });
 
     // Check if result is object (new logic) or boolean (fallback)
     const success = (typeof result === 'object') ? result.success : result;
 
     if (success) {
-        ui.statusLight.classList.remove('disconnected');
-        ui.statusLight.classList.add('connected');
-        ui.statusText.textContent = 'Connected';
-        ui.btnConnect.innerHTML = '<span class="icon">❌</span> Disconnect';
-        ui.btnConnect.classList.replace('btn-primary', 'btn-secondary');
+        setConnectedUI();
+        showPortSettings(result.settings);
+        setPortSettingsDisabled(true);
         ui.baudRate.disabled = true;
+        ui.dataSource.disabled = true;
+        ui.portSelect.disabled = true;
+        ui.protocolMode.disabled = true;
+        ui.lineEnding.disabled = true;
         ui.btnLog.disabled = false; // Enable Logging
+        startHealthUpdates();
+
+        const key = SerialManager.portKey(result.info);
+        if (key) {
+            localStorage.setItem('inibp.serial.lastPort', key);
+            refreshPortList();
+        }
+        loadCalibration(key || (useSimulator ? 'simulator' : 'serial'));
 
         // Toast Message
-        let msg = 'Device Connected Successfully!';
+        let msg = useSimulator ? 'Simulator Connected' : 'Device Connected Successfully!';
         if (result.info) {
             const { usbVendorId, usbProductId } = result.info;
             if (usbVendorId && usbProductId) {
@@ -270,6 +796,364 @@ ui.btnConnect.addEventListener('click', async () => {
         }
         showToast(msg, 'success');
     }
+}
+
+function setConnectedUI() {
+    ui.statusLight.classList.remove('disconnected', 'reconnecting');
+    ui.statusLight.classList.add('connected');
+    ui.statusText.textContent = 'Connected';
+    ui.btnConnect.innerHTML = '<span class="icon">❌</span> Disconnect';
+    ui.btnConnect.classList.replace('btn-primary', 'btn-secondary');
+    ui.sendInput.disabled = false;
+    ui.btnSend.disabled = false;
+}
+
+/**
+ * Remembered Ports
+ * Ports granted earlier are listed by VID:PID and open without the picker.
+ */
+let knownPorts = [];
+
+async function refreshPortList() {
+    const current = knownPorts[ui.portSelect.value];
+    knownPorts = await SerialManager.knownPorts();
+    const lastKey = localStorage.getItem('inibp.serial.lastPort');
+
+    ui.portSelect.length = 1; // Keep "Choose in browser…"
+    knownPorts.forEach((port, i) => {
+        const key = SerialManager.portKey(port.getInfo());
+        const option = document.createElement('option');
+        option.value = String(i);
+        option.textContent = key ? `USB ${key}` : `Port ${i + 1}`;
+        ui.portSelect.appendChild(option);
+        if (port === current || (!current && key && key === lastKey)) ui.portSelect.value = option.value;
+    });
+    if (knownPorts[ui.portSelect.value] !== current) loadSelectedPortSettings();
+}
+
+if (SerialManager.isSupported()) {
+    navigator.serial.addEventListener('connect', (event) => {
+        refreshPortList();
+        // The last used device was plugged in while idle: connect to it
+        const key = SerialManager.portKey(event.target.getInfo());
+        if (!serial.port && !serial.dropout && ui.autoReconnect.checked && ui.dataSource.value === 'serial' &&
+            key && key === localStorage.getItem('inibp.serial.lastPort')) {
+            connectDevice(event.target);
+        }
+    });
+    navigator.serial.addEventListener('disconnect', () => refreshPortList());
+}
+
+/**
+ * Port Settings
+ * Saved per VID:PID by SerialManager; choosing a remembered port loads them.
+ */
+function readPortSettings() {
+    return {
+        baudRate: ui.baudRate.value === 'custom' ? ui.baudCustom.value : ui.baudRate.value,
+        dataBits: ui.dataBits.value,
+        stopBits: ui.stopBits.value,
+        parity: ui.parity.value,
+        flowControl: ui.flowControl.value,
+        bufferSize: ui.bufferSize.value
+    };
+}
+
+function showPortSettings(settings) {
+    const baud = String(settings.baudRate);
+    const listed = Array.from(ui.baudRate.options).some(option => option.value === baud);
+    ui.baudRate.value = listed ? baud : 'custom';
+    if (!listed) ui.baudCustom.value = baud;
+    ui.baudCustom.hidden = listed;
+    ui.dataBits.value = String(settings.dataBits);
+    ui.stopBits.value = String(settings.stopBits);
+    ui.parity.value = settings.parity;
+    ui.flowControl.value = settings.flowControl;
+    ui.bufferSize.value = String(settings.bufferSize);
+}
+
+function setPortSettingsDisabled(disabled) {
+    [ui.baudCustom, ui.dataBits, ui.stopBits, ui.parity, ui.flowControl, ui.bufferSize].forEach(input => {
+        input.disabled = disabled;
+    });
+}
+
+ui.baudRate.addEventListener('change', () => {
+    ui.baudCustom.hidden = ui.baudRate.value !== 'custom';
+});
+
+function loadSelectedPortSettings() {
+    const port = knownPorts[ui.portSelect.value];
+    const key = port ? SerialManager.portKey(port.getInfo()) : null;
+    const saved = key ? SerialManager.loadDeviceSettings(key) : null;
+    if (saved) showPortSettings(saved);
+}
+
+ui.portSelect.addEventListener('change', loadSelectedPortSettings);
+
+ui.autoReconnect.addEventListener('change', () => {
+    serial.autoReconnect = ui.autoReconnect.checked;
+});
+
+/**
+ * Simulator Settings
+ */
+function readSimSettings() {
+    const num = (input, fallback) => {
+        const value = parseFloat(input.value);
+        return isNaN(value) ? fallback : value;
+    };
+    const d = SimulatedPort.defaults;
+    return {
+        systolic: num(ui.simSys, d.systolic),
+        diastolic: num(ui.simDia, d.diastolic),
+        heartRate: num(ui.simHr, d.heartRate),
+        noise: num(ui.simNoise, d.noise),
+        deflationRate: num(ui.simDeflation, d.deflationRate),
+        leakRate: num(ui.simLeak, d.leakRate),
+        deflationStep: num(ui.simStep, d.deflationStep),
+        protocolVersion: ui.simNumbered.checked ? 2 : 1,
+        textOutput: ui.protocolMode.value === 'text' ? readLineEnding() : null
+    };
+}
+
+/**
+ * Text Protocol
+ */
+function readLineEnding() {
+    return LineParser.unescape(ui.lineEnding.value);
+}
+
+function readTextSettings() {
+    return {
+        format: ui.textFormat.value,
+        pattern: ui.textPattern.value,
+        delimiter: ui.textDelimiter.value || ',',
+        cuffField: ui.textCuffField.value,
+        pulseField: ui.textPulseField.value
+    };
+}
+
+/**
+ * Put the SerialManager into binary or text mode from the UI.
+ * @returns {boolean} false if the field mapping is invalid
+ */
+function configureProtocol() {
+    commandConsole.lineEnding = readLineEnding();
+    if (ui.protocolMode.value !== 'text') {
+        serial.setBinaryMode();
+        return true;
+    }
+    try {
+        const parser = new LineParser(readTextSettings());
+        serial.setTextMode({ lineEnding: readLineEnding(), parser });
+        return true;
+    } catch (error) {
+        showToast(`Invalid field mapping: ${error.message}`, 'error');
+        return false;
+    }
+}
+
+ui.protocolMode.addEventListener('change', () => {
+    ui.textSettings.hidden = ui.protocolMode.value !== 'text';
+});
+
+ui.textFormat.addEventListener('change', () => {
+    const csv = ui.textFormat.value === 'csv';
+    ui.textRegexGroup.hidden = csv;
+    ui.textCsvGroup.hidden = !csv;
+});
+
+[ui.textFormat, ui.textPattern, ui.textDelimiter, ui.textCuffField, ui.textPulseField].forEach(input => {
+    input.addEventListener('change', () => {
+        // Remap a running text stream immediately
+        if (serial.port && serial.mode === 'text') configureProtocol();
+    });
+});
+
+/**
+ * Command Console
+ */
+const SEND_PLACEHOLDERS = {
+    ascii: 'Send to device…',
+    hex: 'AA 03 10 01 01 B9',
+    macro: Object.keys(DEVICE_COMMANDS).join(' / ')
+};
+
+for (const name of Object.keys(DEVICE_COMMANDS)) {
+    const option = document.createElement('option');
+    option.value = name;
+    ui.macroNames.appendChild(option);
+}
+
+function setSendMode(mode) {
+    ui.sendMode.value = mode;
+    ui.sendInput.placeholder = SEND_PLACEHOLDERS[mode];
+    if (mode === 'macro') {
+        ui.sendInput.setAttribute('list', 'macro-names');
+    } else {
+        ui.sendInput.removeAttribute('list');
+    }
+}
+
+/**
+ * Show a sent command in the terminal and the log.
+ */
+function echoCommand(entry, result) {
+    if (entry.kind === 'wait') {
+        updateTerminal(`> WAIT ${entry.ms} ms\n`);
+        return;
+    }
+    const text = entry.kind === 'hex' ? ProtocolInspector.hex(entry.data) : entry.text;
+    const status = result.ok ? '' : ` ✖ ${result.reason}`;
+    updateTerminal(`> ${entry.kind.toUpperCase()} ${text}${status}\n`);
+    logEvent(`TX ${entry.kind} ${text}${status}`);
+}
+
+async function sendConsoleCommand() {
+    const kind = ui.sendMode.value;
+    const text = ui.sendInput.value;
+    if (!serial.port || text.trim() === '') return;
+
+    let entry;
+    try {
+        entry = CommandConsole.parseCommand(kind, text);
+    } catch (error) {
+        showToast(error.message, 'error');
+        return;
+    }
+    commandConsole.addHistory(kind, text);
+    ui.sendInput.value = '';
+    echoCommand(entry, await commandConsole.execute(entry));
+}
+
+ui.sendMode.addEventListener('change', () => setSendMode(ui.sendMode.value));
+ui.btnSend.addEventListener('click', sendConsoleCommand);
+ui.sendInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+        sendConsoleCommand();
+    } else if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+        e.preventDefault();
+        const entry = commandConsole.browseHistory(e.key === 'ArrowUp' ? -1 : 1);
+        if (entry) setSendMode(entry.kind);
+        ui.sendInput.value = entry ? entry.text : '';
+    }
+});
+
+function renderScriptList(selected = '') {
+    ui.scriptSelect.length = 1; // Keep "New script"
+    for (const name of Object.keys(commandConsole.savedScripts()).sort()) {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        ui.scriptSelect.appendChild(option);
+    }
+    ui.scriptSelect.value = selected;
+}
+
+/**
+ * (Re)load the editor text unless the same script is mid-way.
+ * @returns {boolean} false if the script does not parse
+ */
+function prepareScript() {
+    const text = ui.scriptText.value;
+    const script = commandConsole.script;
+    if (script && state.scriptSource === text && script.index < script.steps.length) return true;
+    try {
+        commandConsole.loadScript(text);
+        state.scriptSource = text;
+        return true;
+    } catch (error) {
+        showToast(error.message, 'error');
+        return false;
+    }
+}
+
+function showScriptProgress(step) {
+    const { index, steps } = commandConsole.script;
+    ui.scriptStatus.textContent = step
+        ? `Step ${index}/${steps.length} (line ${step.line})${step.result.ok ? '' : ' failed'}`
+        : 'Script finished';
+}
+
+function setScriptRunning(running) {
+    ui.btnScriptRun.disabled = running;
+    ui.btnScriptStep.disabled = running;
+    ui.btnScriptStop.disabled = !running;
+}
+
+ui.scriptSelect.addEventListener('change', () => {
+    const name = ui.scriptSelect.value;
+    ui.scriptText.value = name ? commandConsole.savedScripts()[name] || '' : '';
+    ui.scriptStatus.textContent = '--';
+});
+
+ui.btnScriptSave.addEventListener('click', () => {
+    try {
+        CommandConsole.parseScript(ui.scriptText.value);
+    } catch (error) {
+        showToast(error.message, 'error');
+        return;
+    }
+    const name = ui.scriptSelect.value || prompt('Script name');
+    if (!name) return;
+    commandConsole.saveScript(name, ui.scriptText.value);
+    renderScriptList(name);
+    showToast(`Script "${name}" saved`, 'success');
+});
+
+ui.btnScriptDelete.addEventListener('click', () => {
+    const name = ui.scriptSelect.value;
+    if (!name || !confirm(`Delete script "${name}"?`)) return;
+    commandConsole.deleteScript(name);
+    renderScriptList();
+    ui.scriptText.value = '';
+});
+
+ui.btnScriptStep.addEventListener('click', async () => {
+    if (!serial.port) {
+        showToast('Connect a device first', 'error');
+        return;
+    }
+    if (!prepareScript()) return;
+    setScriptRunning(true);
+    const step = await commandConsole.step();
+    setScriptRunning(false);
+    if (step) echoCommand(step, step.result);
+    showScriptProgress(step);
+});
+
+ui.btnScriptRun.addEventListener('click', async () => {
+    if (!serial.port) {
+        showToast('Connect a device first', 'error');
+        return;
+    }
+    if (!prepareScript()) return;
+    const delay = Math.max(0, parseFloat(ui.scriptDelay.value) || 0);
+
+    setScriptRunning(true);
+    const finished = await commandConsole.run(delay, (step) => {
+        echoCommand(step, step.result);
+        showScriptProgress(step);
+    });
+    setScriptRunning(false);
+    if (finished) showScriptProgress(null);
+});
+
+ui.btnScriptStop.addEventListener('click', () => commandConsole.stop());
+
+ui.dataSource.addEventListener('change', () => {
+    ui.simSettings.hidden = ui.dataSource.value !== 'simulator';
+    ui.portSettings.hidden = ui.dataSource.value !== 'serial';
+});
+
+[ui.simSys, ui.simDia, ui.simHr, ui.simNoise, ui.simDeflation, ui.simLeak, ui.simStep, ui.simNumbered].forEach(input => {
+    input.addEventListener('change', () => {
+        // Apply to a running simulator immediately
+        if (serial.port instanceof SimulatedPort) {
+            Object.assign(serial.port.settings, readSimSettings());
+        }
+    });
 });
 
 function showToast(msg, type = 'success') {
@@ -292,15 +1176,36 @@ function showToast(msg, type = 'success') {
     updateTerminal(`\n[${timestamp}] ${prefix} ${msg}\n`);
 }
 
-serial.onDataCallback = handleSerialData;
+serial.onDataCallback = handleSamples;
+serial.onRawCallback = (bytes) => {
+    if (state.isLogging) logger.write({ type: 'raw', bytes });
+};
+serial.on('status', ({ state: code }) => handleDeviceStatus(code));
+serial.on('error', ({ code }) => handleDeviceError(code));
 serial.onDisconnectCallback = () => {
-    ui.statusLight.classList.remove('connected');
+    ui.statusLight.classList.remove('connected', 'reconnecting');
     ui.statusLight.classList.add('disconnected');
     ui.statusText.textContent = 'Disconnected';
     ui.btnConnect.innerHTML = '<span class="icon">🔌</span> Connect Device';
     ui.btnConnect.classList.replace('btn-secondary', 'btn-primary');
+    setPortSettingsDisabled(false);
+    loadCalibration(null);
     ui.baudRate.disabled = false;
+    ui.dataSource.disabled = false;
+    ui.portSelect.disabled = false;
+    ui.protocolMode.disabled = false;
+    ui.lineEnding.disabled = false;
+    ui.sendInput.disabled = true;
+    ui.btnSend.disabled = true;
     ui.btnLog.disabled = true; // Disable Logging
+    ui.deviceState.hidden = true;
+    stopHealthUpdates();
+    commandConsole.stop();
+    commands.cancelAll();
+    cancelStaticTest('device disconnected');
+    safety.reset();
+    safety.setDeviceState(null);
+    finishSession();
 
     // Stop logging if active
     if (state.isLogging) stopLogging();
@@ -309,34 +1214,309 @@ serial.onDisconnectCallback = () => {
 };
 
 /**
- * Logging Button Logic
+ * Calibration
+ * Live samples pass through the device's calibration (in the live pipeline)
+ * before anything else sees them; the wizard works on the raw readings.
  */
-ui.btnLog.addEventListener('click', async () => {
-    if (state.isLogging) {
-        await stopLogging();
-    } else {
-        await startLogging();
+let calDisplayAt = 0;
+
+/**
+ * Feed a live batch's raw readings to the wizard.
+ */
+function sampleCalibration(batch) {
+    for (let i = 0; i < batch.time.length; i++) calSampler.add(batch.rawCuff[i], batch.time[i]);
+    const now = batch.time[batch.time.length - 1];
+    if (now - calDisplayAt >= 250) {
+        calDisplayAt = now;
+        updateCalibrationReading();
     }
-});
+}
 
-async function startLogging() {
-    const success = await logger.selectFile();
-    if (success) {
-        await logger.start();
-        // Write CSV Header
-        await logger.write("Timestamp,CuffPressure,PulsePressure\n");
+/**
+ * Switch to the stored profile of a device.
+ * @param {string|null} key Device key, null when disconnected
+ */
+function loadCalibration(key) {
+    state.deviceKey = key;
+    state.calibration = key ? Calibration.load(key) : null;
+    serial.callPipeline('setCalibration', state.calibration ? state.calibration.toJSON() : null);
+    calSampler.reset();
+    renderCalibration();
+}
 
-        state.isLogging = true;
-        ui.btnLog.innerHTML = '<span class="icon">⏹</span> Stop Logging';
-        ui.btnLog.classList.add('btn-primary'); // Make it active looking
-        ui.logFilename.textContent = logger.fileName;
-        ui.logBytes.textContent = '0';
-    }
+function updateCalibrationReading() {
+    const reading = calSampler.reading();
+    ui.calRaw.textContent = reading
+        ? `${reading.mean.toFixed(2)} ±${reading.stdDev.toFixed(2)}${reading.stable ? '' : ' (settling)'}`
+        : '--';
 }
 
-async function stopLogging() {
-    await logger.stop();
+function renderCalibration() {
+    ui.calActive.textContent = state.calibration ? state.calibration.describe() : 'None';
+    ui.calActive.title = ui.calActive.textContent;
+    ui.btnCalCapture.disabled = !state.deviceKey;
+    ui.btnCalRemove.disabled = !state.calibration;
+    ui.btnCalSave.disabled = !state.deviceKey || calSampler.points.length < 2;
+
+    ui.calPoints.textContent = '';
+    calSampler.points.forEach((point, i) => {
+        const row = document.createElement('div');
+        row.className = 'cal-point';
+        const text = document.createElement('span');
+        text.textContent = `${point.raw.toFixed(2)} → ${point.reference.toFixed(1)} mmHg`;
+        const remove = document.createElement('button');
+        remove.textContent = '✕';
+        remove.title = 'Remove point';
+        remove.addEventListener('click', () => {
+            calSampler.removePoint(i);
+            renderCalibration();
+        });
+        row.append(text, remove);
+        ui.calPoints.appendChild(row);
+    });
+    updateCalibrationReading();
+}
+
+ui.btnCalCapture.addEventListener('click', () => {
+    const reference = parseFloat(ui.calReference.value);
+    if (isNaN(reference)) {
+        showToast('Enter the reference manometer reading first', 'error');
+        return;
+    }
+    const reading = calSampler.reading();
+    if (!reading) {
+        showToast('No cuff readings yet', 'error');
+        return;
+    }
+    if (!reading.stable) {
+        showToast(`Reading still moving (±${reading.stdDev.toFixed(2)} mmHg) - hold the pressure steady`, 'error');
+        return;
+    }
+    const point = calSampler.capture(reference);
+    ui.calReference.value = '';
+    updateTerminal(`[CAL] Point ${calSampler.points.length}: raw ${point.raw.toFixed(2)} = ${reference.toFixed(1)} mmHg\n`);
+    renderCalibration();
+});
+
+ui.btnCalSave.addEventListener('click', () => {
+    let calibration;
+    try {
+        calibration = new Calibration({
+            method: ui.calMethod.value,
+            points: calSampler.points,
+            device: state.deviceKey
+        });
+    } catch (error) {
+        showToast(error.message, 'error');
+        return;
+    }
+    Calibration.save(state.deviceKey, calibration);
+    state.calibration = calibration;
+    serial.callPipeline('setCalibration', calibration.toJSON());
+    calSampler.clear();
+    renderCalibration();
+    logEvent(`CALIBRATION ${calibration.describe()}`);
+    showToast(`Calibration saved for ${state.deviceKey}`, 'success');
+});
+
+ui.btnCalClear.addEventListener('click', () => {
+    calSampler.clear();
+    renderCalibration();
+});
+
+ui.btnCalRemove.addEventListener('click', () => {
+    if (!state.calibration || !confirm(`Remove the calibration for ${state.deviceKey}?`)) return;
+    Calibration.remove(state.deviceKey);
+    state.calibration = null;
+    serial.callPipeline('setCalibration', null);
+    renderCalibration();
+    logEvent('CALIBRATION removed');
+});
+
+/**
+ * Dropout / Reconnect
+ * A short loss of the USB device keeps logging and the session running;
+ * the gap is marked in the log, the session and on the charts.
+ */
+serial.onDropoutCallback = () => {
+    ui.statusLight.classList.remove('connected');
+    ui.statusLight.classList.add('reconnecting');
+    ui.statusText.textContent = 'Reconnecting…';
+    ui.btnConnect.innerHTML = '<span class="icon">❌</span> Stop Reconnecting';
+    ui.sendInput.disabled = true;
+    ui.btnSend.disabled = true;
+    commandConsole.stop();
+    commands.cancelAll();
+    cancelStaticTest('connection lost');
+    logEvent('DROPOUT connection lost, waiting for device');
+    showToast('Connection lost - waiting for the device to return', 'error');
+};
+
+serial.onReconnectCallback = ({ since, gapMs }) => {
+    setConnectedUI();
+    markGap(since, Date.now());
+    showToast(`Reconnected after ${(gapMs / 1000).toFixed(1)} s`, 'success');
+};
+
+/**
+ * Record a stretch without data.
+ * @param {number} start ms
+ * @param {number} end ms
+ */
+function markGap(start, end) {
+    recorder.markGap(start, end);
+    logEvent(`GAP ${((end - start) / 1000).toFixed(1)} s without data`);
+    markChartGap(start);
+}
+
+/**
+ * @param {number} time Start of the gap (ms)
+ */
+function markChartGap(time) {
+    if (!state.isPaused && trigger.isCapturing) {
+        requestChartUpdate(time, null, null); // Breaks the line; gapMarkerPlugin draws the marker
+    } else if (trigger.phase === 'armed') {
+        trigger.arm(); // The lead-in must not join samples from both sides of the gap
+    }
+    callPipeline('interruptAnalysis'); // Beat intervals, rates and filter state across the gap are meaningless
+}
+
+/**
+ * Connection Health
+ * Refreshed once a second; new faults are also written to the log.
+ */
+let healthReported = null;
+
+function startHealthUpdates() {
+    stopHealthUpdates();
+    healthReported = serial.stats.snapshot();
+    updateHealth();
+    state.healthInterval = setInterval(updateHealth, 1000);
+}
+
+function stopHealthUpdates() {
+    if (state.healthInterval) {
+        clearInterval(state.healthInterval);
+        state.healthInterval = null;
+    }
+}
+
+function updateHealth() {
+    const s = serial.stats.snapshot();
+    ui.healthFrames.textContent = s.validFrames.toLocaleString();
+    ui.healthChecksum.textContent = s.checksumFailures.toLocaleString();
+    ui.healthLength.textContent = s.lengthErrors.toLocaleString();
+    ui.healthResync.textContent = `${s.resyncBytes.toLocaleString()} B`;
+    ui.healthOverflows.textContent = s.overflows.toLocaleString();
+    ui.healthUnparsed.textContent = s.unparsedLines.toLocaleString();
+    ui.healthRate.textContent = `${s.sampleRate} Hz`;
+    ui.healthGaps.textContent = `${s.sequenceGaps} (${s.missingSamples} lost)`;
+    followLinkRate(serial.stats.nominalRate);
+
+    const faults = ['checksumFailures', 'lengthErrors', 'overflows', 'sequenceGaps', 'unparsedLines'];
+    if (faults.some(name => s[name] !== healthReported[name])) {
+        const delta = serial.stats.snapshot(healthReported);
+        logEvent(`LINK ${LinkStats.summary(delta)}`);
+        healthReported = s;
+    }
+}
+
+/**
+ * Device Status / Error Frames
+ */
+function setDeviceBadge(text, cssClass) {
+    ui.deviceState.textContent = text;
+    ui.deviceState.className = `state-badge ${cssClass}`;
+    ui.deviceState.hidden = false;
+}
+
+function handleDeviceStatus(code) {
+    const info = DEVICE_STATES[code] || { key: 'unknown', label: `State ${code}` };
+    setDeviceBadge(info.label, info.key);
+    safety.setDeviceState(info.key);
+    logEvent(`Device ${info.label}`);
+
+    // Device finished (or gave up) on its own: the run is over
+    if ((info.key === 'complete' || info.key === 'aborted') && state.timerInterval) {
+        stopTimer();
+    }
+    if (info.key === 'complete' || info.key === 'aborted') {
+        cancelStaticTest(`device ${info.label.toLowerCase()}`);
+        finishSession();
+    }
+    if (info.key === 'complete') {
+        showToast('Measurement complete', 'success');
+    }
+}
+
+function handleDeviceError(code) {
+    const info = DEVICE_ERRORS[code] || { key: 'unknown', label: `Device error (code ${code})` };
+    setDeviceBadge(info.label, 'fault');
+    showToast(`Device fault: ${info.label}`, 'error');
+    logEvent(`Device fault: ${info.label}`);
+}
+
+/**
+ * Logging Button Logic
+ */
+ui.btnLog.addEventListener('click', async () => {
+    if (state.isLogging) {
+        await stopLogging();
+    } else {
+        await startLogging();
+    }
+});
+
+async function startLogging() {
+    const success = await logger.selectFile(ui.logFormat.value);
+    if (success) {
+        await logger.start(buildLogMeta());
+
+        state.isLogging = true;
+        ui.logFormat.disabled = true;
+        ui.btnLog.innerHTML = '<span class="icon">⏹</span> Stop Logging';
+        ui.btnLog.classList.add('btn-primary'); // Make it active looking
+        ui.logFilename.textContent = logger.fileName;
+        ui.logBytes.textContent = '0';
+    }
+}
+
+/**
+ * Header metadata for the log file.
+ */
+function buildLogMeta() {
+    const meta = {
+        application: 'iNIBP',
+        format: ui.logFormat.value,
+        startedAt: new Date().toISOString(),
+        source: serial.port instanceof SimulatedPort ? 'simulator' : 'serial',
+        ...serial.portSettings,
+        calibration: state.calibration ? state.calibration.describe() : 'none',
+        filters: state.filterChain.describe(),
+        sampleRate: serial.stats.sampleRate || 100,
+        trigger: trigger.describe()
+    };
+    const info = serial.port && serial.port.getInfo ? serial.port.getInfo() : {};
+    if (info.usbVendorId !== undefined) meta.usbVendorId = info.usbVendorId;
+    if (info.usbProductId !== undefined) meta.usbProductId = info.usbProductId;
+    return meta;
+}
+
+/**
+ * Write a timestamped annotation to the open log, if any.
+ * @param {string} message
+ */
+function logEvent(message) {
+    if (state.isLogging) {
+        logger.write({ type: 'event', time: Date.now(), message });
+    }
+}
+
+async function stopLogging() {
+    logEvent(`LINK ${LinkStats.summary(serial.stats.snapshot())}`);
+    await logger.stop();
     state.isLogging = false;
+    ui.logFormat.disabled = false;
     ui.btnLog.innerHTML = '<span class="icon">💾</span> Start Logging';
     ui.btnLog.classList.remove('btn-primary');
     ui.logFilename.textContent = '--';
@@ -345,10 +1525,83 @@ async function stopLogging() {
 /**
  * Misc UI
  */
+function updateTerminal(text) {
+    const shouldScroll = ui.autoscroll.checked;
+    ui.terminal.append(text);
+    trimTerminal();
+    if (shouldScroll) {
+        ui.terminal.scrollTop = ui.terminal.scrollHeight;
+    }
+}
+
+function trimTerminal() {
+    const MAX_NODES = 1000;
+    while (ui.terminal.childNodes.length > MAX_NODES) {
+        ui.terminal.firstChild.remove();
+    }
+}
+
 ui.btnClearTerm.addEventListener('click', () => {
     ui.terminal.textContent = '';
+    inspector.reset();
+    updateInspectorCounts();
 });
 
+/**
+ * Protocol Inspector
+ * Frame reports arrive per packet; lines are batched per animation frame.
+ */
+const inspectorLines = [];
+let inspectorFrameId = null;
+
+ui.inspectorMode.addEventListener('change', () => {
+    const enabled = ui.inspectorMode.checked;
+    serial.setInspectCallback(enabled ? handleInspectEvent : null);
+    ui.inspectorCounts.hidden = !enabled;
+    if (enabled) {
+        inspector.reset();
+        updateInspectorCounts();
+    }
+});
+
+function handleInspectEvent(event) {
+    inspectorLines.push(inspector.describe(event));
+    if (!inspectorFrameId) {
+        inspectorFrameId = requestAnimationFrame(flushInspectorLines);
+    }
+}
+
+function flushInspectorLines() {
+    inspectorFrameId = null;
+    const fragment = document.createDocumentFragment();
+    for (const line of inspectorLines) {
+        const el = document.createElement('div');
+        el.className = `terminal-line ${line.kind}`;
+        el.textContent = line.text;
+        if (line.fields) {
+            const fields = document.createElement('span');
+            fields.className = 'terminal-fields';
+            fields.textContent = line.fields;
+            el.append(fields);
+        }
+        fragment.append(el);
+    }
+    inspectorLines.length = 0;
+
+    ui.terminal.append(fragment);
+    trimTerminal();
+    if (ui.autoscroll.checked) {
+        ui.terminal.scrollTop = ui.terminal.scrollHeight;
+    }
+    updateInspectorCounts();
+}
+
+function updateInspectorCounts() {
+    ui.inspectorGood.textContent = inspector.good.toLocaleString();
+    ui.inspectorBad.textContent = inspector.bad.toLocaleString();
+    ui.inspectorSkipped.textContent = inspector.skipped.toLocaleString();
+}
+
 /**
  * Timer Helpers
  */
@@ -391,28 +1644,96 @@ function resetSessionUI() {
         ui.btnFindMax.classList.remove('btn-primary');
         ui.cuffValue.previousElementSibling.textContent = "Cuff Pressure";
 
-        // Clear Markers
-        state.cuffChart.data.datasets[1].data = [];
-        state.pulseChart.data.datasets[1].data = [];
-
-        state.cuffChart.update();
-        state.pulseChart.update();
+        clearMarkers();
+        chartNavigator.update();
     }
-    ui.maxValue.textContent = "--"; // Reset Max
+    resetAnalysisReadouts();
+    resetHeartRate();
+    resetEnvelope();
 }
 
 /**
  * Control Buttons logic
  */
+/**
+ * Send a command and report the outcome once the device has answered.
+ * @param {Object} cmd Entry from DEVICE_COMMANDS
+ * @param {Object} [options] Passed to CommandChannel.send
+ * @returns {Promise<boolean>} True when acknowledged
+ */
+async function sendDeviceCommand(cmd, options) {
+    const result = await commands.send(cmd.code, options);
+    if (result.ok && result.unacknowledged) {
+        showToast(`${cmd.label} (${cmd.code}) sent (text mode: not acknowledged)`, 'success');
+    } else if (result.ok) {
+        const retryNote = result.attempts > 1 ? ` after ${result.attempts} attempts` : '';
+        showToast(`${cmd.label} (${cmd.code}) acknowledged${retryNote}`, 'success');
+    } else {
+        showToast(`${cmd.label} (${cmd.code}) failed: ${result.reason}`, 'error');
+    }
+    return result.ok;
+}
+
+/**
+ * Safety Monitor
+ */
+function readSafetyLimits() {
+    const num = (input, fallback) => {
+        const value = parseFloat(input.value);
+        return isNaN(value) ? fallback : value;
+    };
+    const d = SafetyMonitor.defaults;
+    return {
+        maxPressure: num(ui.safetyMaxPressure, d.maxPressure),
+        dwellLevel: num(ui.safetyDwellLevel, d.dwellLevel),
+        maxDwellSeconds: num(ui.safetyDwellTime, d.maxDwellSeconds),
+        minDeflationRate: num(ui.safetyMinRate, d.minDeflationRate)
+    };
+}
+
+[ui.safetyMaxPressure, ui.safetyDwellLevel, ui.safetyDwellTime, ui.safetyMinRate].forEach(input => {
+    input.addEventListener('change', () => Object.assign(safety.limits, readSafetyLimits()));
+});
+
+/**
+ * Show the persistent alarm banner and record the event.
+ * @param {string} message
+ */
+function showAlarm(message) {
+    ui.alarmMessage.textContent = message;
+    ui.alarmBanner.hidden = false;
+
+    const timestamp = new Date().toLocaleTimeString();
+    updateTerminal(`\n[${timestamp}] 🚨 ALARM: ${message}\n`);
+    logEvent(`ALARM ${message}`);
+}
+
+ui.btnAlarmAck.addEventListener('click', () => {
+    ui.alarmBanner.hidden = true;
+    safety.reset(); // Re-arm: a persisting fault trips again
+});
+
+async function handleSafetyViolation(violation) {
+    showAlarm(`${violation.message} - sending ABORT`);
+    cancelStaticTest('safety alarm');
+    stopTimer();
+    finishSession();
+
+    if (!await sendDeviceCommand(DEVICE_COMMANDS.ABORT, { retries: 10 })) {
+        showAlarm(`${violation.message} - ABORT NOT acknowledged. Deflate the cuff manually!`);
+    }
+}
+
 ui.btnStart.addEventListener('click', async () => {
     if (serial.port) {
         resetSessionUI();
 
-        await serial.write(new Uint8Array([1]));
-        state.monitoringThreshold = 25; // Set threshold for Start
+        if (!await sendDeviceCommand(DEVICE_COMMANDS.START)) return;
+        cancelStaticTest('another run started');
+        safety.reset(); // Fresh run, fresh watchdog
+        beginSession('START');
 
         startTimer();
-        showToast('Sent: START (1)', 'success');
     } else {
         showToast('Device not connected', 'error');
     }
@@ -420,16 +1741,20 @@ ui.btnStart.addEventListener('click', async () => {
 
 ui.btnAbort.addEventListener('click', async () => {
     if (serial.port) {
-        await serial.write(new Uint8Array([2]));
+        // Safety critical: keep trying for longer than other commands
+        if (!await sendDeviceCommand(DEVICE_COMMANDS.ABORT, { retries: 10 })) {
+            showAlarm('ABORT was NOT acknowledged by the device. Deflate the cuff manually!');
+            return;
+        }
 
+        cancelStaticTest('aborted');
         stopTimer();
+        finishSession();
 
         // Stop logging if active
         if (state.isLogging) {
             await stopLogging();
         }
-
-        showToast('Sent: ABORT (2)', 'error');
     } else {
         showToast('Device not connected', 'error');
     }
@@ -439,40 +1764,572 @@ ui.btnLinear.addEventListener('click', async () => {
     if (serial.port) {
         resetSessionUI();
 
-        await serial.write(new Uint8Array([3]));
-        state.monitoringThreshold = 250; // Set threshold for Linear Deflation
+        if (!await sendDeviceCommand(DEVICE_COMMANDS.LINEAR)) return;
+        cancelStaticTest('another run started');
+        safety.reset(); // Fresh run, fresh watchdog
+        beginSession('LINEAR');
 
         startTimer();
-        showToast('Sent: LINEAR DEFLATION (3)', 'success');
     } else {
         showToast('Device not connected', 'error');
     }
 });
 
+/**
+ * Static Test
+ * HOLD inflates to the target; LeakTest times the settle and measurement
+ * phases from the live samples. The cuff is released once the report is in.
+ */
+function readStaticSettings() {
+    const num = (input, fallback) => {
+        const value = parseFloat(input.value);
+        return isNaN(value) ? fallback : value;
+    };
+    const d = LeakTest.defaults;
+    return {
+        target: num(ui.staticTarget, d.target),
+        settleSeconds: num(ui.staticSettle, d.settleSeconds),
+        windowSeconds: num(ui.staticWindow, d.windowSeconds),
+        maxLeakRate: num(ui.staticMaxLeak, d.maxLeakRate),
+        maxStdDev: num(ui.staticMaxSd, d.maxStdDev),
+        reference: num(ui.staticReference, null),
+        maxError: num(ui.staticMaxError, d.maxError)
+    };
+}
 
+ui.btnStaticTest.addEventListener('click', async () => {
+    if (leakTest.isRunning) {
+        cancelStaticTest('stopped');
+        if (serial.port) await sendDeviceCommand(DEVICE_COMMANDS.ABORT, { retries: 10 });
+        stopTimer();
+        finishSession();
+        return;
+    }
+    if (!serial.port) {
+        showToast('Device not connected', 'error');
+        return;
+    }
+
+    const settings = readStaticSettings();
+    const holdSeconds = settings.settleSeconds + settings.windowSeconds;
+    if (holdSeconds >= safety.limits.maxDwellSeconds) {
+        showToast(`Settle + window (${holdSeconds} s) must stay under the safety dwell limit (${safety.limits.maxDwellSeconds} s)`, 'error');
+        return;
+    }
+    if (settings.target >= safety.limits.maxPressure) {
+        showToast(`Target must stay under the safety maximum (${safety.limits.maxPressure} mmHg)`, 'error');
+        return;
+    }
+
+    resetSessionUI();
+    ui.staticReport.hidden = true;
+
+    if (!await sendDeviceCommand(DEVICE_COMMANDS.HOLD, { value: settings.target })) return;
+    safety.reset();
+    beginSession('STATIC');
+    leakTest.start(settings);
+    logEvent(`STATIC test started: target ${settings.target} mmHg, settle ${settings.settleSeconds} s, window ${settings.windowSeconds} s`);
+
+    startTimer();
+    setStaticRunning(true);
+});
+
+function setStaticRunning(running) {
+    ui.btnStaticTest.innerHTML = running
+        ? '<span class="icon">⏹</span> Stop Static Test'
+        : '<span class="icon">⏱</span> Run Static Test';
+    clearInterval(state.staticInterval);
+    state.staticInterval = running ? setInterval(updateStaticStatus, 250) : null;
+    updateStaticStatus();
+}
+
+function updateStaticStatus() {
+    const remaining = leakTest.remaining();
+    switch (leakTest.phase) {
+        case 'inflating':
+            ui.staticStatus.textContent = `Inflating to ${leakTest.settings.target} mmHg`;
+            break;
+        case 'settling':
+            ui.staticStatus.textContent = `Settling, ${Math.ceil(remaining)} s`;
+            break;
+        case 'measuring':
+            ui.staticStatus.textContent = `Measuring, ${Math.ceil(remaining)} s left`;
+            break;
+    }
+}
+
+/**
+ * @param {Object} report From LeakTest
+ */
+async function completeStaticTest(report) {
+    setStaticRunning(false);
+    ui.staticStatus.textContent = report.pass ? 'Passed' : 'Failed';
+    renderStaticReport(report);
+    storeSessionResults({ leakTest: report });
+    logEvent(`STATIC ${LeakTest.summary(report)}`);
+    updateTerminal(`[STATIC] ${LeakTest.summary(report)}\n`);
+    showToast(`Static test ${report.pass ? 'passed' : 'FAILED'}`, report.pass ? 'success' : 'error');
+
+    stopTimer();
+    finishSession();
+    // The device holds until told otherwise: release the cuff
+    if (!await sendDeviceCommand(DEVICE_COMMANDS.ABORT, { retries: 10 })) {
+        showAlarm('Static test finished but ABORT was NOT acknowledged. Deflate the cuff manually!');
+    }
+}
+
+/**
+ * Stop a running test without a report.
+ * @param {string} reason
+ */
+function cancelStaticTest(reason) {
+    if (!leakTest.isRunning) return;
+    leakTest.reset();
+    setStaticRunning(false);
+    ui.staticStatus.textContent = `Cancelled (${reason})`;
+    logEvent(`STATIC test cancelled: ${reason}`);
+}
+
+function renderStaticReport(report) {
+    const row = (label, value, cssClass, result) => {
+        const el = document.createElement('div');
+        el.className = `report-row ${cssClass || ''}`;
+        const name = document.createElement('span');
+        name.className = 'report-label';
+        name.textContent = label;
+        const text = document.createElement('span');
+        text.textContent = value;
+        el.append(name, text);
+        if (result) {
+            const verdict = document.createElement('span');
+            verdict.className = 'report-result';
+            verdict.textContent = result;
+            el.appendChild(verdict);
+        }
+        return el;
+    };
+
+    ui.staticReport.textContent = '';
+    const verdict = document.createElement('div');
+    verdict.className = `report-verdict ${report.pass ? 'pass' : 'fail'}`;
+    verdict.textContent = report.pass ? 'PASS' : 'FAIL';
+    ui.staticReport.appendChild(verdict);
+
+    ui.staticReport.append(
+        row('Target', `${report.target} mmHg`),
+        row('Window', `${report.windowSeconds.toFixed(1)} s · ${report.samples} samples`),
+        row('Mean', `${report.mean.toFixed(2)} mmHg`)
+    );
+    if (report.reference !== null) {
+        ui.staticReport.appendChild(row('Reference', `${report.reference.toFixed(1)} mmHg`));
+    }
+    for (const check of report.checks) {
+        const value = check.name === 'Error vs reference' ? report.error : check.value;
+        ui.staticReport.appendChild(row(
+            check.name,
+            `${value.toFixed(2)} (≤ ${check.limit} ${check.unit})`,
+            check.pass ? 'pass' : 'fail',
+            check.pass ? 'PASS' : 'FAIL'
+        ));
+    }
+    ui.staticReport.hidden = false;
+}
+
+/**
+ * Signal Filters
+ */
+function readFilterSettings() {
+    const num = (input, fallback) => {
+        const value = parseFloat(input.value);
+        return isNaN(value) ? fallback : value;
+    };
+    const d = FilterChain.defaults;
+    return {
+        source: ui.filterSource.value,
+        sampleRate: num(ui.filterRate, d.sampleRate),
+        median: { enabled: ui.filterMedian.checked, size: num(ui.filterMedianSize, d.median.size) },
+        notch: { enabled: ui.filterNotch.checked, frequency: num(ui.filterNotchFrequency, d.notch.frequency), q: d.notch.q },
+        bandpass: {
+            enabled: ui.filterBandpass.checked,
+            low: num(ui.filterBandpassLow, d.bandpass.low),
+            high: num(ui.filterBandpassHigh, d.bandpass.high)
+        },
+        baseline: { enabled: ui.filterBaseline.checked, seconds: num(ui.filterBaselineSeconds, d.baseline.seconds) },
+        movingAverage: { enabled: ui.filterAverage.checked, size: num(ui.filterAverageSize, d.movingAverage.size) }
+    };
+}
+
+function showFilterSettings(settings) {
+    const s = FilterChain.normalize(settings);
+    ui.filterSource.value = s.source;
+    ui.filterRate.value = s.sampleRate;
+    ui.filterMedian.checked = s.median.enabled;
+    ui.filterMedianSize.value = s.median.size;
+    ui.filterNotch.checked = s.notch.enabled;
+    ui.filterNotchFrequency.value = s.notch.frequency;
+    ui.filterBandpass.checked = s.bandpass.enabled;
+    ui.filterBandpassLow.value = s.bandpass.low;
+    ui.filterBandpassHigh.value = s.bandpass.high;
+    ui.filterBaseline.checked = s.baseline.enabled;
+    ui.filterBaselineSeconds.value = s.baseline.seconds;
+    ui.filterAverage.checked = s.movingAverage.enabled;
+    ui.filterAverageSize.value = s.movingAverage.size;
+}
+
+/**
+ * Rebuild the chain from the panel.
+ * @param {boolean} [persist=true] Also store the settings as the new defaults
+ * @returns {boolean} false when the settings are invalid (the old chain and panel stay)
+ */
+function applyFilterSettings(persist = true) {
+    let chain;
+    try {
+        chain = new FilterChain(readFilterSettings());
+    } catch (error) {
+        showToast(error.message, 'error');
+        if (state.filterChain) showFilterSettings(state.filterChain.settings); // Back to what is running
+        return false;
+    }
+    state.filterChain = chain;
+    serial.callPipeline('setFilters', chain.settings);
+    replayPipeline.setFilters(chain.settings);
+    if (persist) {
+        try {
+            localStorage.setItem('inibp.filters', JSON.stringify(chain.settings));
+        } catch (error) {
+            console.warn('Could not save filter settings:', error);
+        }
+    }
+    logEvent(`FILTERS ${chain.describe()}`);
+    return true;
+}
+
+function loadFilterSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem('inibp.filters'));
+        showFilterSettings(saved || FilterChain.defaults);
+    } catch (error) {
+        console.warn('Stored filter settings are invalid:', error);
+    }
+    if (!applyFilterSettings(false)) {
+        showFilterSettings(FilterChain.defaults);
+        state.filterChain = new FilterChain();
+    }
+}
+
+/**
+ * The sample rate field is what the filters assume until the link has
+ * measured the real one; then they follow the link.
+ * @param {number} rate LinkStats.nominalRate, 0 while unknown
+ */
+function followLinkRate(rate) {
+    if (!rate || rate === state.linkRate) return;
+    state.linkRate = rate;
+    const assumed = state.filterChain.settings.sampleRate;
+    if (Math.abs(rate - assumed) <= assumed * 0.05) return; // Clock jitter
+    ui.filterRate.value = rate;
+    if (applyFilterSettings(false)) {
+        showToast(`Filters set to the measured ${rate} Hz sample rate`, 'success');
+    } else {
+        logEvent(`FILTERS still assume ${assumed} Hz; the link runs at ${rate} Hz`); // The toast says why
+    }
+}
+
+[
+    ui.filterSource, ui.filterRate, ui.filterMedian, ui.filterMedianSize, ui.filterNotch, ui.filterNotchFrequency,
+    ui.filterBandpass, ui.filterBandpassLow, ui.filterBandpassHigh, ui.filterBaseline, ui.filterBaselineSeconds,
+    ui.filterAverage, ui.filterAverageSize
+].forEach(input => input.addEventListener('change', () => applyFilterSettings()));
+
+ui.filterShowRaw.addEventListener('change', () => {
+    state.pulseChart.setDatasetVisibility(3, ui.filterShowRaw.checked);
+    chartNavigator.update();
+});
+
+/**
+ * Deflation Analysis
+ * Armed for LINEAR runs (live or reopened); the rate series and band are
+ * only shown on the cuff chart while it is.
+ */
+function readDeflationBand() {
+    const target = parseFloat(ui.deflTarget.value);
+    const tolerance = parseFloat(ui.deflTolerance.value);
+    return {
+        targetRate: isNaN(target) ? 3 : target,
+        tolerance: isNaN(tolerance) ? 1 : tolerance
+    };
+}
+
+[ui.deflTarget, ui.deflTolerance].forEach(input => {
+    input.addEventListener('change', () => {
+        state.deflationBand = readDeflationBand();
+        callPipeline('setDeflationBand', state.deflationBand);
+        state.cuffChart.update('none');
+    });
+});
+
+/**
+ * @param {string} mode Session mode; only LINEAR is analysed
+ */
+function armDeflationAnalysis(mode) {
+    const linear = mode === 'LINEAR';
+    state.deflationBand = readDeflationBand();
+    callPipeline(linear ? 'beginDeflation' : 'resetDeflation', state.deflationBand);
+    state.cuffChart.setDatasetVisibility(2, linear);
+    state.cuffChart.setDatasetVisibility(3, linear);
+    resetDeflationReadouts();
+}
+
+function resetDeflationReadouts() {
+    ui.deflRate.textContent = '--';
+    ui.deflRateSub.textContent = 'mmHg/s';
+    ui.deflAverage.textContent = '--';
+    ui.deflSteps.textContent = '--';
+    ui.deflFlags.textContent = '--';
+}
+
+let deflDisplayAt = 0;
+
+function updateDeflationRate({ rate, inBand }) {
+    const now = Date.now();
+    if (rate === null || now - deflDisplayAt < 250) return;
+    deflDisplayAt = now;
+    ui.deflRate.textContent = rate.toFixed(2);
+    ui.deflRateSub.textContent = inBand ? 'mmHg/s' : 'mmHg/s · out of band';
+}
+
+/**
+ * Summarise the run into the readouts and the session results.
+ * @param {Object} summary DeflationAnalyzer.finish()
+ */
+function completeDeflationAnalysis(summary) {
+    showDeflationSummary(summary);
+    storeSessionResults({ deflation: summary });
+}
+
+function showDeflationSummary(summary) {
+    ui.deflAverage.textContent = `${summary.averageRate.toFixed(2)} mmHg/s (${summary.from.toFixed(0)} → ${summary.to.toFixed(0)})`;
+    ui.deflSteps.textContent = summary.steps.count
+        ? `${summary.steps.count} × ${summary.steps.meanSize.toFixed(1)} mmHg`
+        : 'none (continuous)';
+    ui.deflFlags.textContent = summary.flags.length
+        ? `${summary.flags.length} (${summary.outOfBandSeconds.toFixed(1)} s)`
+        : 'none';
+    ui.deflRateSub.textContent = `avg ${summary.averageRate.toFixed(2)} mmHg/s`;
+
+    logEvent(`DEFLATION ${DeflationAnalyzer.summary(summary)}`);
+    updateTerminal(`[DEFLATION] ${DeflationAnalyzer.summary(summary)}\n`);
+}
+
+/**
+ * Trigger
+ */
+function readTriggerSettings() {
+    const num = (input, fallback) => {
+        const value = parseFloat(input.value);
+        return isNaN(value) ? fallback : value;
+    };
+    const d = Trigger.defaults;
+    return {
+        source: ui.triggerSource.value,
+        edge: ui.triggerEdge.value,
+        level: num(ui.triggerLevel, d.level),
+        preTrigger: num(ui.triggerPre, d.preTrigger),
+        rearmLevel: num(ui.triggerRearm, null), // Empty: no re-arm
+        mode: ui.triggerMode.value
+    };
+}
+
+function showTriggerSettings(settings) {
+    const s = Trigger.normalize(settings);
+    ui.triggerSource.value = s.source;
+    ui.triggerEdge.value = s.edge;
+    ui.triggerLevel.value = s.level;
+    ui.triggerPre.value = s.preTrigger;
+    ui.triggerRearm.value = s.rearmLevel ?? '';
+    ui.triggerRearm.disabled = s.source === 'pulse'; // See Trigger: re-arm is for cuff triggers
+    ui.triggerMode.value = s.mode;
+}
+
+/**
+ * Take the settings from the panel.
+ * @param {boolean} [persist=true] Also store the settings as the new defaults
+ * @returns {boolean} false when the settings are invalid (the old ones and the panel stay)
+ */
+function applyTriggerSettings(persist = true) {
+    try {
+        trigger.configure(readTriggerSettings());
+    } catch (error) {
+        showToast(error.message, 'error');
+        showTriggerSettings(trigger.settings); // Back to what is running
+        return false;
+    }
+    if (persist) {
+        try {
+            localStorage.setItem('inibp.trigger', JSON.stringify(trigger.settings));
+        } catch (error) {
+            console.warn('Could not save trigger settings:', error);
+        }
+    }
+    updateTriggerStatus();
+    return true;
+}
+
+function loadTriggerSettings() {
+    ui.triggerPreset.checked = localStorage.getItem('inibp.trigger.preset') !== 'false';
+    try {
+        const saved = JSON.parse(localStorage.getItem('inibp.trigger'));
+        showTriggerSettings(saved || Trigger.defaults);
+    } catch (error) {
+        console.warn('Stored trigger settings are invalid:', error);
+    }
+    if (!applyTriggerSettings(false)) {
+        showTriggerSettings(Trigger.defaults);
+        trigger.configure(Trigger.defaults);
+        updateTriggerStatus();
+    }
+}
+
+/**
+ * Use the run mode's trigger level (Trigger.presets), unless the user has
+ * typed in their own since ticking "Level from the run".
+ * @param {string} mode 'START' | 'LINEAR' | 'STATIC'
+ */
+function applyTriggerPreset(mode) {
+    const preset = Trigger.presets[mode];
+    if (!preset || !ui.triggerPreset.checked) return;
+    try {
+        trigger.configure({ ...trigger.settings, ...preset });
+    } catch (error) {
+        showToast(`${mode} trigger preset not applied: ${error.message}`, 'error');
+        return;
+    }
+    showTriggerSettings(trigger.settings);
+    updateTriggerStatus();
+}
+
+function saveTriggerPreset() {
+    try {
+        localStorage.setItem('inibp.trigger.preset', String(ui.triggerPreset.checked));
+    } catch (error) {
+        console.warn('Could not save trigger settings:', error);
+    }
+}
+
+function updateTriggerStatus() {
+    const s = trigger.settings;
+    const labels = {
+        armed: `Armed: ${s.source} ${s.edge === 'rising' ? 'rising above' : 'falling below'} ${s.level}`,
+        capturing: s.rearmLevel !== null ? `Capturing until cuff < ${s.rearmLevel} mmHg` : 'Capturing',
+        stopped: 'Stopped (single capture done)'
+    };
+    ui.triggerStatus.textContent = labels[trigger.phase];
+    ui.triggerStatus.className = `log-value trigger-${trigger.phase}`;
+}
+
+[
+    ui.triggerSource, ui.triggerEdge, ui.triggerLevel, ui.triggerPre, ui.triggerRearm, ui.triggerMode
+].forEach(input => input.addEventListener('change', () => applyTriggerSettings()));
+
+// A level typed in by hand overrides the per-mode presets
+ui.triggerLevel.addEventListener('change', () => {
+    ui.triggerPreset.checked = false;
+    saveTriggerPreset();
+});
+ui.triggerPreset.addEventListener('change', saveTriggerPreset);
+
+ui.btnTriggerArm.addEventListener('click', () => {
+    trigger.arm();
+    updateTriggerStatus();
+});
 
 /**
  * Clear Graphs Button Logic
  */
-ui.btnClearGraphs.addEventListener('click', () => {
-    // Clear data buffers
-    state.cuffChart.data.labels = [];
-    state.cuffChart.data.datasets.forEach(ds => ds.data = []);
-    state.pulseChart.data.labels = [];
-    state.pulseChart.data.datasets.forEach(ds => ds.data = []);
+ui.btnClearGraphs.addEventListener('click', () => clearGraphs());
+ui.btnFollow.addEventListener('click', () => chartNavigator.follow());
+
+function clearGraphs() {
+    clearCapture();
 
     // Reset Logic
-    state.isMonitoring = false; // Wait for Threshold again
-    chartBuffer.cuff = [];
-    chartBuffer.pulse = [];
+    trigger.arm(); // Wait for the trigger again
+    updateTriggerStatus();
+    callPipeline('resetBeats');
+    callPipeline('resetFilters');
+}
+
+/**
+ * Drop the plotted data (Clear Graphs, or a new trigger).
+ */
+function clearCapture() {
+    // Clear data buffers
+    chartData.clear();
+    state.markers = [];
+    state.chartOrigin = null;
+    resetEnvelope();
 
     // Update charts
-    state.cuffChart.update();
-    state.pulseChart.update();
-});
+    chartNavigator.reset();
+}
+
+/**
+ * Analysis Helpers
+ */
+const MARKER_COLORS = {
+    map: '#ef4444',
+    sys: '#f97316',
+    dia: '#8b5cf6'
+};
+
+function resetAnalysisReadouts() {
+    ui.maxValue.textContent = "--";
+    ui.sysValue.textContent = "--";
+    ui.diaValue.textContent = "--";
+}
+
+function clearMarkers() {
+    state.markers = [];
+}
+
+/**
+ * Keep the MAP/SYS/DIA sample indices of an analyzer result for the charts.
+ * @param {Object} result Analyzer result (indices into chartData)
+ */
+function setMarkers(result) {
+    // SYS, MAP, DIA is also time order: deflation runs from high to low pressure
+    state.markers = [
+        { index: result.sbpIndex, color: MARKER_COLORS.sys },
+        { index: result.mapIndex, color: MARKER_COLORS.map },
+        { index: result.dbpIndex, color: MARKER_COLORS.dia }
+    ].filter(m => m.index >= 0);
+}
+
+/**
+ * Draw the stored MAP/SYS/DIA markers on a chart's marker dataset.
+ * @param {Chart} chart
+ * @param {string} channel chartData channel the markers sit on
+ */
+function renderMarkers(chart, channel) {
+    const dataset = chart.data.datasets[1];
+    dataset.data = state.markers.map(m => ({ x: chartData.time[m.index], y: chartData.get(channel, m.index) }));
+    dataset.pointBackgroundColor = state.markers.map(m => m.color);
+}
+
+function readRatio(input, fallback) {
+    const value = parseFloat(input.value);
+    return (value > 0 && value < 1) ? value : fallback;
+}
+
+function readAnalyzerRatios() {
+    analyzer.systolicRatio = readRatio(ui.sysRatio, 0.55);
+    analyzer.diastolicRatio = readRatio(ui.diaRatio, 0.85);
+}
 
 /**
  * Find Max Button Logic
+ * Pauses the charts and runs the oscillometric analysis over everything
+ * plotted since they were last cleared, not just the part on screen.
  */
 ui.btnFindMax.addEventListener('click', () => {
     if (state.isPaused) {
@@ -480,65 +2337,427 @@ ui.btnFindMax.addEventListener('click', () => {
         state.isPaused = false;
         ui.btnFindMax.innerHTML = '<span class="icon">🎯</span> Find Max';
         ui.btnFindMax.classList.remove('btn-primary');
-        ui.maxValue.textContent = "--"; // Reset Max Display
+        resetAnalysisReadouts();
         ui.cuffValue.previousElementSibling.textContent = "Cuff Pressure"; // Reset Label
 
-        // Clear Markers
-        state.cuffChart.data.datasets[1].data = [];
-        state.pulseChart.data.datasets[1].data = [];
-
-        state.cuffChart.update();
-        state.pulseChart.update();
+        clearMarkers();
+        updateEnvelopeChart(); // Back to the live envelope
+        chartNavigator.update();
     } else {
-        // PAUSE & FIND MAX
+        // PAUSE & ANALYSE
         state.isPaused = true;
         ui.btnFindMax.innerHTML = '<span class="icon">▶</span> Resume';
         ui.btnFindMax.classList.add('btn-primary');
 
-        // Logic
-        const pulseData = state.pulseChart.data.datasets[0].data;
-        const cuffData = state.cuffChart.data.datasets[0].data;
+        if (chartData.length === 0) return;
 
-        if (pulseData.length === 0) return;
+        readAnalyzerRatios();
 
-        // Find Max in Pulse
-        let maxVal = -Infinity;
-        let maxIdx = -1;
-        for (let i = 0; i < pulseData.length; i++) {
-            if (pulseData[i] > maxVal) {
-                maxVal = pulseData[i];
-                maxIdx = i;
-            }
+        const result = analyzer.analyze(chartData.values('cuff'), chartData.values('pulse'));
+        if (!result) {
+            showToast('Not enough oscillations to estimate pressure', 'error');
+            return;
         }
 
-        if (maxIdx !== -1) {
-            // Get corresponding values
-            const targetCuffVal = cuffData[maxIdx];
+        setMarkers(result);
+        renderEnvelope(result.envelope, result);
+        chartNavigator.update();
+
+        // Show Values
+        ui.maxValue.textContent = result.map.toFixed(2);
+        ui.sysValue.textContent = result.sbp !== null ? result.sbp.toFixed(2) : "--";
+        ui.diaValue.textContent = result.dbp !== null ? result.dbp.toFixed(2) : "--";
+
+        storeSessionResults({
+            map: result.map,
+            sbp: result.sbp,
+            dbp: result.dbp,
+            sysRatio: analyzer.systolicRatio,
+            diaRatio: analyzer.diastolicRatio
+        });
+
+        const fmt = v => (v !== null ? v.toFixed(0) : '--');
+        showToast(`BP ${fmt(result.sbp)}/${fmt(result.dbp)} (MAP ${fmt(result.map)})`, 'success');
+    }
+});
+
+/**
+ * Recording Playback Logic
+ * Replayed rows run through their own SignalPipeline, then handleSamples
+ * exactly like live batches.
+ */
+function formatClock(ms) {
+    const total = Math.floor(ms / 1000);
+    const min = Math.floor(total / 60);
+    const sec = total % 60;
+    return `${String(min).padStart(2, '0')}:${String(sec).padStart(2, '0')}`;
+}
+
+function setReplayPlaying(playing) {
+    ui.btnReplayPlay.innerHTML = playing
+        ? '<span class="icon">⏸</span>'
+        : '<span class="icon">▶</span>';
+    ui.btnReplayPlay.title = playing ? 'Pause' : 'Play';
+}
+
+/**
+ * Start the analysis from a clean slate, as if a new run had begun.
+ */
+function restartReplaySession() {
+    resetSessionUI();
+    clearGraphs();
+    armDeflationAnalysis(state.replayMode);
+}
+
+player.onSamplesCallback = (samples) => {
+    // Dropout markers from a reopened session split the batch
+    let run = [];
+    for (const sample of samples) {
+        if (!sample.gap) {
+            run.push(sample);
+            continue;
+        }
+        handleSamples(replayPipeline.process(run));
+        run = [];
+        markChartGap(sample.time);
+    }
+    handleSamples(replayPipeline.process(run));
+};
+player.onProgressCallback = (position, duration) => {
+    ui.replayPosition.textContent = `${formatClock(position)} / ${formatClock(duration)}`;
+    ui.replaySeek.value = duration > 0 ? Math.round((position / duration) * 1000) : 0;
+};
+player.onEndCallback = () => {
+    setReplayPlaying(false);
+    showToast('Playback finished', 'success');
+};
+
+ui.btnLoadRecording.addEventListener('click', () => {
+    if (serial.port) {
+        showToast('Disconnect the device before loading a recording', 'error');
+        return;
+    }
+    ui.replayFile.click();
+});
 
-            // Setup Marker Arrays (same length as main data, filled with nulls usually, but Chart.js sparse is better)
-            // Actually, for line chart with category/index axis, we can just spare array or use object {x, y} but here x is index.
-            // Simplest for sync: Create array of nulls, set one value.
+ui.replayFile.addEventListener('change', async () => {
+    const file = ui.replayFile.files[0];
+    ui.replayFile.value = ''; // Allow re-selecting the same file
+    if (!file) return;
+
+    try {
+        const count = await player.load(file);
+        restoreStoredSettings(); // A session opened before may have left its own
+        state.lastSession = null; // Not a stored session
+        state.replayMode = null;
+        onRecordingLoaded(count);
+    } catch (error) {
+        console.error('Recording load failed:', error);
+        showToast(`Could not load recording: ${error.message}`, 'error');
+    }
+});
 
-            const markerDataPulse = new Array(pulseData.length).fill(null);
-            markerDataPulse[maxIdx] = maxVal;
+/**
+ * Prepare the UI once the player holds a recording.
+ * @param {number} count Number of samples loaded
+ */
+function onRecordingLoaded(count) {
+    player.setSpeed(parseFloat(ui.replaySpeed.value));
+    state.isReplaying = true;
+
+    restartReplaySession();
+    setReplayPlaying(false);
+    ui.replayFilename.textContent = player.fileName;
+    ui.replayPosition.textContent = `00:00 / ${formatClock(player.duration)}`;
+    ui.replaySeek.value = 0;
+    ui.replaySeek.disabled = false;
+    ui.btnReplayPlay.disabled = false;
+    ui.btnReplayEject.disabled = false;
+    ui.btnConnect.disabled = true; // One data source at a time
+
+    showToast(`Loaded ${count.toLocaleString()} samples`, 'success');
+}
 
-            const markerDataCuff = new Array(cuffData.length).fill(null);
-            markerDataCuff[maxIdx] = targetCuffVal;
+ui.btnReplayPlay.addEventListener('click', () => {
+    if (player.isPlaying) {
+        player.pause();
+    } else {
+        player.play();
+    }
+    setReplayPlaying(player.isPlaying);
+});
 
-            state.pulseChart.data.datasets[1].data = markerDataPulse;
-            state.cuffChart.data.datasets[1].data = markerDataCuff;
+ui.btnReplayEject.addEventListener('click', () => {
+    player.stop();
+    state.isReplaying = false;
+    restoreStoredSettings();
+    setReplayPlaying(false);
+    ui.replayFilename.textContent = '--';
+    ui.replayPosition.textContent = '--';
+    ui.replaySeek.value = 0;
+    ui.replaySeek.disabled = true;
+    ui.btnReplayPlay.disabled = true;
+    ui.btnReplayEject.disabled = true;
+    ui.btnConnect.disabled = false;
+});
+
+ui.replaySpeed.addEventListener('change', () => {
+    player.setSpeed(parseFloat(ui.replaySpeed.value));
+});
 
-            state.pulseChart.update();
-            state.cuffChart.update();
+ui.replaySeek.addEventListener('input', () => {
+    // Samples between the old and new position are skipped, so the
+    // plotted trace would no longer be continuous: start over.
+    restartReplaySession();
+    player.seek((ui.replaySeek.value / 1000) * player.duration);
+});
+
+/**
+ * Session History
+ * Every START/LINEAR/STATIC run is recorded and saved to IndexedDB automatically.
+ */
+function beginSession(mode) {
+    finishSession(); // Close whatever was still running
+    armDeflationAnalysis(mode);
+    applyTriggerPreset(mode);
+    safety.setRunMode(mode);
+    if (!trigger.isCapturing) {
+        trigger.arm();
+        updateTriggerStatus();
+    }
+    recorder.start({
+        mode,
+        trigger: trigger.settings,
+        calibration: state.calibration ? state.calibration.toJSON() : null,
+        filters: state.filterChain.settings
+    });
+    state.linkMark = serial.stats.snapshot();
+}
 
-            // Show Value
-            ui.maxValue.textContent = targetCuffVal.toFixed(2);
-            showToast(`MAP Found! Pressure: ${targetCuffVal.toFixed(2)}`, 'success');
+async function finishSession() {
+    safety.setRunMode(null);
+    // The pipeline may answer later: take the session now, before a new one can start
+    const deflationSummary = recorder.isRecording ? callPipeline('finishDeflation') : null;
+    const session = recorder.finish();
+    const summary = await deflationSummary;
+    if (summary) showDeflationSummary(summary);
+    if (!session) return;
+
+    if (summary) session.results.deflation = summary;
+    const hr = state.heartRate;
+    if (hr) session.results.heartRate = hr.bpm;
+    if (state.linkMark) session.link = serial.stats.snapshot(state.linkMark);
+    state.linkMark = null;
+
+    try {
+        const id = await sessionStore.add(session);
+        state.lastSession = { id, results: session.results };
+        updateTerminal(`[SYSTEM] Session saved: ${session.name}\n`);
+        renderSessionList();
+    } catch (error) {
+        console.error('Session save failed:', error);
+        showToast('Could not save session', 'error');
+    }
+}
+
+/**
+ * Attach analysis results to the running session, or to the last one.
+ * @param {Object} results
+ */
+function storeSessionResults(results) {
+    if (recorder.isRecording) {
+        recorder.setResults(results);
+    } else if (state.lastSession && sessionStore.db) {
+        state.lastSession.results = { ...state.lastSession.results, ...results };
+        sessionStore.update(state.lastSession.id, { results: state.lastSession.results })
+            .then(renderSessionList)
+            .catch(error => console.error('Session update failed:', error));
+    }
+}
+
+function describeSession(session) {
+    const parts = [
+        new Date(session.startedAt).toLocaleString(),
+        session.mode,
+        `${session.duration.toFixed(1)}s`
+    ];
+    const r = session.results || {};
+    if (r.sbp != null && r.dbp != null) {
+        parts.push(`BP ${r.sbp.toFixed(0)}/${r.dbp.toFixed(0)}`);
+    } else if (r.map != null) {
+        parts.push(`MAP ${r.map.toFixed(0)}`);
+    }
+    if (r.heartRate != null) parts.push(`${Math.round(r.heartRate)} bpm`);
+    if (r.deflation) {
+        parts.push(`${r.deflation.averageRate.toFixed(1)} mmHg/s`);
+        if (r.deflation.flags.length) parts.push(`⚠ ${r.deflation.flags.length} out of band`);
+    }
+    if (r.leakTest) {
+        parts.push(`${r.leakTest.pass ? 'PASS' : 'FAIL'} leak ${r.leakTest.leakRate.toFixed(1)} mmHg/min`);
+    }
+    const link = session.link;
+    if (link && (link.checksumFailures || link.lengthErrors || link.missingSamples)) {
+        parts.push(`⚠ ${link.checksumFailures + link.lengthErrors} bad frames, ${link.missingSamples} lost`);
+    }
+    return parts.join(' · ');
+}
+
+async function renderSessionList() {
+    if (!sessionStore.db) return;
+    const sessions = await sessionStore.list();
+
+    ui.sessionList.textContent = '';
+    if (sessions.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'session-empty';
+        empty.textContent = 'No sessions yet';
+        ui.sessionList.appendChild(empty);
+        return;
+    }
+
+    for (const session of sessions) {
+        const item = document.createElement('div');
+        item.className = 'session-item';
+
+        const title = document.createElement('div');
+        title.className = 'session-title';
+        title.textContent = session.name;
+        title.title = session.name;
+
+        const meta = document.createElement('div');
+        meta.className = 'session-meta';
+        meta.textContent = describeSession(session);
+
+        item.append(title, meta);
+
+        if (session.notes) {
+            const notes = document.createElement('div');
+            notes.className = 'session-notes';
+            notes.textContent = session.notes;
+            item.appendChild(notes);
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'session-actions';
+        for (const [action, label] of [['open', 'Open'], ['rename', 'Rename'], ['notes', 'Notes'], ['delete', 'Delete']]) {
+            const btn = document.createElement('button');
+            btn.className = 'btn btn-sm btn-secondary';
+            btn.textContent = label;
+            btn.dataset.action = action;
+            btn.dataset.id = session.id;
+            actions.appendChild(btn);
         }
+        item.appendChild(actions);
+
+        ui.sessionList.appendChild(item);
+    }
+}
+
+ui.sessionList.addEventListener('click', async (event) => {
+    const btn = event.target.closest('button[data-action]');
+    if (!btn) return;
+    const id = Number(btn.dataset.id);
+
+    try {
+        switch (btn.dataset.action) {
+            case 'open':
+                await openSession(id);
+                break;
+            case 'rename': {
+                const session = await sessionStore.get(id);
+                const name = prompt('Session name', session.name);
+                if (name) await sessionStore.update(id, { name: name.trim() });
+                break;
+            }
+            case 'notes': {
+                const session = await sessionStore.get(id);
+                const notes = prompt('Session notes', session.notes || '');
+                if (notes !== null) await sessionStore.update(id, { notes });
+                break;
+            }
+            case 'delete':
+                if (!confirm('Delete this session permanently?')) return;
+                await sessionStore.delete(id);
+                if (state.lastSession && state.lastSession.id === id) state.lastSession = null;
+                break;
+        }
+        renderSessionList();
+    } catch (error) {
+        console.error('Session action failed:', error);
+        showToast('Session action failed', 'error');
     }
 });
 
+/**
+ * Back to the stored filter and trigger settings, replacing the ones a
+ * reopened session was shown with.
+ */
+function restoreStoredSettings() {
+    loadFilterSettings();
+    loadTriggerSettings();
+}
+
+/**
+ * Reopen a stored session in the playback panel.
+ * @param {number} id
+ */
+async function openSession(id) {
+    if (serial.port) {
+        showToast('Disconnect the device before opening a session', 'error');
+        return;
+    }
+    const session = await sessionStore.get(id);
+    if (!session || !session.samples) {
+        showToast('Session data not found', 'error');
+        return;
+    }
+
+    const { time, cuff, pulse } = session.samples;
+    const gaps = session.gaps || [];
+    const samples = [];
+    let g = 0;
+    for (let i = 0; i < time.length; i++) {
+        // Replay dropouts as gap markers in their place
+        while (g < gaps.length && gaps[g].start <= time[i]) {
+            samples.push({ time: gaps[g].start, gap: true });
+            g++;
+        }
+        samples.push({ time: time[i], cuff: cuff[i], pulse: pulse[i] });
+    }
+
+    const count = player.loadSamples(samples, session.name);
+    state.lastSession = { id, results: session.results || {} };
+    state.replayMode = session.mode;
+    restoreStoredSettings(); // For what the session did not record
+    if (session.filters) {
+        // Show the session the way it was recorded; the stored defaults stay as they are
+        // and come back when the recording is ejected
+        showFilterSettings(session.filters);
+        applyFilterSettings(false);
+    }
+    // Same trigger as the original run; older sessions only kept the start threshold
+    const triggerSettings = session.trigger
+        || (session.threshold !== undefined ? { level: session.threshold, preTrigger: 0, rearmLevel: null } : null);
+    if (triggerSettings) {
+        showTriggerSettings(triggerSettings);
+        applyTriggerSettings(false);
+    }
+    if (session.results && session.results.leakTest) renderStaticReport(session.results.leakTest);
+    onRecordingLoaded(count);
+}
+
 // Init
 initCharts();
+loadFilterSettings();
+loadTriggerSettings();
+refreshPortList();
+renderCalibration();
+setSendMode(ui.sendMode.value);
+renderScriptList();
 console.log("App Initialized");
+if (SessionStore.isSupported()) {
+    sessionStore.open()
+        .then(renderSessionList)
+        .catch(error => console.error('Session storage unavailable:', error));
+}
 setTimeout(() => showToast("System Ready - Test Popup", "success"), 1000);
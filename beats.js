@@ -0,0 +1,163 @@
+/**
+ * BeatDetector class
+ * Live beat detection on the pulse channel with heart rate and interval variability.
+ */
+class BeatDetector {
+    constructor(options = {}) {
+        // Physiological limits (ms): 240 bpm refractory, 30 bpm timeout
+        this.refractoryMs = options.refractoryMs ?? 250;
+        this.maxIntervalMs = options.maxIntervalMs ?? 2000;
+        // Minimum trough-to-peak swing before anything counts as a beat
+        this.minAmplitude = options.minAmplitude ?? 0.05;
+        // Hysteresis as a fraction of the running beat amplitude
+        this.sensitivity = options.sensitivity ?? 0.3;
+        // Number of recent intervals used for the rate and variability
+        this.historySize = options.historySize ?? 10;
+        // Input smoothing time constant (ms), knocks down sample-to-sample noise
+        this.smoothingMs = options.smoothingMs ?? 20;
+        // Hysteresis floor as a multiple of the estimated noise level
+        this.noiseFactor = options.noiseFactor ?? 6;
+
+        this.reset();
+    }
+
+    /**
+     * Forget all beats and tracker state.
+     */
+    reset() {
+        this.sampleCount = 0;
+        this.smoothed = null;
+        this.lastTime = null;
+        this.noise = 0;
+        this.rising = true;
+        this.troughVal = Infinity;
+        this.peakVal = -Infinity;
+        this.peakTime = 0;
+        this.peakSample = 0;
+        this.peakCuff = null;
+        this.avgAmplitude = null;
+        this.lastBeatTime = null;
+        this.intervals = [];
+    }
+
+    /**
+     * Feed one pulse sample.
+     * @param {number} raw Pulse value
+     * @param {number} time Sample time in ms
+     * @param {number|null} [cuff] Cuff pressure of the sample, reported with the beat's peak
+     * @returns {Object|null} Beat {time, value, amplitude, interval, lag, cuff} when one is confirmed
+     */
+    process(raw, time, cuff = null) {
+        this.sampleCount++;
+
+        // Time-based low-pass so behaviour does not depend on the sample rate
+        let value = raw;
+        if (this.smoothed !== null) {
+            const dt = Math.max(0, time - this.lastTime);
+            const alpha = 1 - Math.exp(-dt / this.smoothingMs);
+            value = this.smoothed + alpha * (raw - this.smoothed);
+            // Residual jitter tracks the noise floor
+            this.noise += 0.01 * (Math.abs(raw - value) - this.noise);
+        }
+        this.smoothed = value;
+        this.lastTime = time;
+
+        const band = Math.max(
+            this.minAmplitude,
+            this.noise * this.noiseFactor,
+            (this.avgAmplitude ?? 0) * this.sensitivity
+        );
+        let beat = null;
+
+        if (this.rising) {
+            if (value > this.peakVal) {
+                this.peakVal = value;
+                this.peakTime = time;
+                this.peakSample = this.sampleCount;
+                this.peakCuff = cuff;
+            } else if (value < this.peakVal - band) {
+                // Signal has turned over: the running max was a peak
+                beat = this.confirmPeak();
+                this.rising = false;
+                this.troughVal = value;
+            }
+        } else if (value < this.troughVal) {
+            this.troughVal = value;
+        } else if (value > this.troughVal + band) {
+            this.rising = true;
+            this.peakVal = value;
+            this.peakTime = time;
+            this.peakSample = this.sampleCount;
+            this.peakCuff = cuff;
+        }
+
+        return beat;
+    }
+
+    /**
+     * Validate the current peak against amplitude and timing rules.
+     */
+    confirmPeak() {
+        const amplitude = this.peakVal - this.troughVal;
+        if (!isFinite(amplitude) || amplitude < this.minAmplitude) return null;
+
+        // Reject small bumps once we know what a typical beat looks like
+        if (this.avgAmplitude !== null && amplitude < this.avgAmplitude * this.sensitivity) return null;
+
+        let interval = null;
+        if (this.lastBeatTime !== null) {
+            const dt = this.peakTime - this.lastBeatTime;
+            if (dt < this.refractoryMs) return null;
+            if (dt <= this.maxIntervalMs) {
+                interval = dt;
+                this.intervals.push(dt);
+                if (this.intervals.length > this.historySize) this.intervals.shift();
+            } else {
+                // Long pause: previous intervals no longer describe the rhythm
+                this.intervals = [];
+            }
+        }
+
+        this.lastBeatTime = this.peakTime;
+        this.avgAmplitude = this.avgAmplitude === null
+            ? amplitude
+            : this.avgAmplitude * 0.8 + amplitude * 0.2;
+
+        return {
+            time: this.peakTime,
+            value: this.peakVal,
+            amplitude,
+            interval,
+            lag: this.sampleCount - this.peakSample,
+            cuff: this.peakCuff
+        };
+    }
+
+    /**
+     * Current heart rate and interval variability.
+     * @returns {{bpm: number, sdnn: number, rmssd: number}|null}
+     */
+    getStats() {
+        const n = this.intervals.length;
+        if (n < 2) return null;
+
+        // Median interval is robust against a single missed/extra beat
+        const sorted = [...this.intervals].sort((a, b) => a - b);
+        const mid = Math.floor(n / 2);
+        const median = n % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+
+        const mean = this.intervals.reduce((a, b) => a + b, 0) / n;
+        let sq = 0;
+        let succ = 0;
+        for (let i = 0; i < n; i++) {
+            sq += (this.intervals[i] - mean) ** 2;
+            if (i > 0) succ += (this.intervals[i] - this.intervals[i - 1]) ** 2;
+        }
+
+        return {
+            bpm: 60000 / median,
+            sdnn: Math.sqrt(sq / (n - 1)),
+            rmssd: Math.sqrt(succ / (n - 1))
+        };
+    }
+}
@@ -0,0 +1,177 @@
+/**
+ * Calibration class
+ * Maps the cuff pressure reported by the firmware onto a reference
+ * manometer, fitted from captured {raw, reference} point pairs:
+ *   linear    - least-squares gain and offset (reference = gain * raw + offset)
+ *   piecewise - straight segments between the points, end segments extended
+ * Profiles are stored per device (VID:PID) in localStorage.
+ */
+class Calibration {
+    /**
+     * @param {Object} profile { method, points, device, createdAt }
+     */
+    constructor(profile) {
+        this.method = profile.method || 'linear';
+        this.points = profile.points
+            .map(p => ({ raw: Number(p.raw), reference: Number(p.reference) }))
+            .sort((a, b) => a.raw - b.raw);
+        this.device = profile.device || null;
+        this.createdAt = profile.createdAt || Date.now();
+
+        if (this.method !== 'linear' && this.method !== 'piecewise') {
+            throw new Error(`Unknown calibration method: ${this.method}`);
+        }
+        if (this.points.length < 2) {
+            throw new Error('Calibration needs at least two points');
+        }
+        for (let i = 1; i < this.points.length; i++) {
+            if (this.points[i].raw === this.points[i - 1].raw) {
+                throw new Error(`Two points share the raw reading ${this.points[i].raw}`);
+            }
+        }
+
+        this.fitLine();
+        this.maxError = Math.max(...this.points.map(p => Math.abs(this.apply(p.raw) - p.reference)));
+    }
+
+    /**
+     * Least-squares gain/offset. Also the summary figure for piecewise profiles.
+     */
+    fitLine() {
+        const n = this.points.length;
+        let sx = 0, sy = 0, sxx = 0, sxy = 0;
+        for (const { raw, reference } of this.points) {
+            sx += raw;
+            sy += reference;
+            sxx += raw * raw;
+            sxy += raw * reference;
+        }
+        this.gain = (n * sxy - sx * sy) / (n * sxx - sx * sx);
+        this.offset = (sy - this.gain * sx) / n;
+    }
+
+    /**
+     * @param {number} raw Cuff pressure as reported (mmHg)
+     * @returns {number} Calibrated pressure (mmHg)
+     */
+    apply(raw) {
+        if (this.method === 'linear') return this.gain * raw + this.offset;
+
+        const p = this.points;
+        let i = 1;
+        while (i < p.length - 1 && raw > p[i].raw) i++;
+        const a = p[i - 1];
+        const b = p[i];
+        return a.reference + (raw - a.raw) * (b.reference - a.reference) / (b.raw - a.raw);
+    }
+
+    /**
+     * Plain object for storage, logs and session records.
+     */
+    toJSON() {
+        return {
+            method: this.method,
+            points: this.points,
+            gain: this.gain,
+            offset: this.offset,
+            maxError: this.maxError,
+            device: this.device,
+            createdAt: this.createdAt
+        };
+    }
+
+    describe() {
+        const fit = this.method === 'linear'
+            ? `gain ${this.gain.toFixed(4)}, offset ${this.offset >= 0 ? '+' : ''}${this.offset.toFixed(2)} mmHg`
+            : `piecewise, ${this.points.length - 1} segments`;
+        return `${fit} · ${this.points.length} points · max error ${this.maxError.toFixed(2)} mmHg`;
+    }
+
+    /**
+     * @param {string} device Device key (VID:PID or 'simulator')
+     * @returns {Calibration|null}
+     */
+    static load(device) {
+        try {
+            const all = JSON.parse(localStorage.getItem('inibp.calibration')) || {};
+            return all[device] ? new Calibration(all[device]) : null;
+        } catch (error) {
+            console.warn('Stored calibration is invalid:', error);
+            return null;
+        }
+    }
+
+    static save(device, calibration) {
+        const all = JSON.parse(localStorage.getItem('inibp.calibration')) || {};
+        all[device] = calibration.toJSON();
+        localStorage.setItem('inibp.calibration', JSON.stringify(all));
+    }
+
+    static remove(device) {
+        const all = JSON.parse(localStorage.getItem('inibp.calibration')) || {};
+        delete all[device];
+        localStorage.setItem('inibp.calibration', JSON.stringify(all));
+    }
+}
+
+/**
+ * CalibrationSampler class
+ * Averages the raw cuff reading over a short window so a held pressure
+ * can be captured as one calibration point.
+ */
+class CalibrationSampler {
+    constructor(options = {}) {
+        this.windowMs = options.windowMs ?? 2000;
+        this.maxStdDev = options.maxStdDev ?? 0.5; // mmHg, above this the reading is still moving
+        this.window = []; // [{time, value}]
+        this.points = []; // [{raw, reference}]
+    }
+
+    add(value, time) {
+        this.window.push({ time, value });
+        while (this.window.length > 1 && time - this.window[0].time > this.windowMs) {
+            this.window.shift();
+        }
+    }
+
+    /**
+     * @returns {{mean: number, stdDev: number, stable: boolean}|null}
+     */
+    reading() {
+        const n = this.window.length;
+        if (n === 0) return null;
+        const mean = this.window.reduce((sum, s) => sum + s.value, 0) / n;
+        const variance = this.window.reduce((sum, s) => sum + (s.value - mean) ** 2, 0) / n;
+        const stdDev = Math.sqrt(variance);
+        return { mean, stdDev, stable: n > 1 && stdDev <= this.maxStdDev };
+    }
+
+    /**
+     * Pair the current averaged reading with a reference value.
+     * @param {number} reference Manometer reading (mmHg)
+     * @returns {{raw: number, reference: number}}
+     */
+    capture(reference) {
+        const reading = this.reading();
+        if (!reading) throw new Error('No cuff readings yet');
+        const point = { raw: reading.mean, reference };
+        this.points.push(point);
+        return point;
+    }
+
+    removePoint(index) {
+        this.points.splice(index, 1);
+    }
+
+    clear() {
+        this.points = [];
+    }
+
+    /**
+     * Forget points and readings (e.g. another device was connected).
+     */
+    reset() {
+        this.window = [];
+        this.points = [];
+    }
+}
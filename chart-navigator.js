@@ -0,0 +1,266 @@
+/**
+ * ChartNavigator class
+ * Zoom, pan and measurement cursors for charts that share a linear time
+ * axis in seconds. Every attached chart shows the same x range:
+ *   wheel         zoom around the pointer
+ *   drag          pan
+ *   click         place cursor A, then B (a third click starts a new pair)
+ *   right-click   remove the cursors
+ *   double-click  back to following the newest data
+ * While following, the view is the last `windowSeconds` of data.
+ * The data itself lives elsewhere (see SampleStore): `extent` reports its
+ * time span and `onRender` fills the charts for the range about to be shown.
+ */
+class ChartNavigator {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.extent] () => {min, max} of the data (s), or null
+     */
+    constructor(options = {}) {
+        this.windowSeconds = options.windowSeconds ?? 30;
+        this.minSpan = options.minSpan ?? 0.1; // s
+        this.zoomStep = options.zoomStep ?? 1.25; // Span factor per wheel notch
+        this.dragThreshold = options.dragThreshold ?? 4; // px before a press counts as a pan
+        this.extent = options.extent ?? (() => null);
+
+        this.views = []; // [{chart, readout, unit, valueAt}]
+        this.range = null; // {min, max} (s), null while following
+        this.cursors = []; // x values (s), at most two
+        this.drag = null;
+        this.onChange = null; // Called when following starts or stops
+        this.onRender = null; // (range) => void, called before the charts redraw
+
+        // Chart.js plugin drawing the cursors; pass it in the chart config
+        this.plugin = {
+            id: 'navigatorCursors',
+            afterDatasetsDraw: chart => this.drawCursors(chart)
+        };
+    }
+
+    get isFollowing() {
+        return this.range === null;
+    }
+
+    /**
+     * @param {Chart} chart Line chart with a linear x scale and {x, y} data
+     * @param {Object} [options]
+     * @param {HTMLElement} [options.readout] Element for the cursor measurements
+     * @param {string} [options.unit] Unit of the measured signal
+     * @param {Function} [options.valueAt] time (s) => value of the measured signal, or null
+     */
+    attach(chart, options = {}) {
+        const view = {
+            chart,
+            readout: options.readout || null,
+            unit: options.unit || '',
+            valueAt: options.valueAt || (() => null)
+        };
+        this.views.push(view);
+
+        const canvas = chart.canvas;
+        canvas.addEventListener('wheel', e => this.onWheel(view, e), { passive: false });
+        canvas.addEventListener('mousedown', e => this.onMouseDown(view, e));
+        canvas.addEventListener('dblclick', () => this.follow());
+        canvas.addEventListener('contextmenu', e => {
+            e.preventDefault();
+            this.clearCursors();
+        });
+        if (this.views.length === 1) {
+            window.addEventListener('mousemove', e => this.onMouseMove(e));
+            window.addEventListener('mouseup', e => this.onMouseUp(e));
+        }
+    }
+
+    /**
+     * The x range on screen.
+     */
+    visibleRange() {
+        if (this.range) return this.range;
+        const extent = this.extent();
+        if (!extent) return null;
+        return { min: Math.max(extent.min, extent.max - this.windowSeconds), max: extent.max };
+    }
+
+    /**
+     * Show a fixed range on every chart (stops following).
+     */
+    setRange(min, max) {
+        let span = Math.max(max - min, this.minSpan);
+        const extent = this.extent();
+        if (extent) {
+            const full = Math.max(extent.max - extent.min, this.minSpan);
+            if (span >= full) {
+                min = extent.min;
+                span = full;
+            } else {
+                min = Math.min(Math.max(min, extent.min), extent.max - span);
+            }
+        }
+        const wasFollowing = this.isFollowing;
+        this.range = { min, max: min + span };
+        this.update();
+        if (wasFollowing && this.onChange) this.onChange();
+    }
+
+    /**
+     * Follow the newest data again.
+     */
+    follow() {
+        if (this.isFollowing) return;
+        this.range = null;
+        this.update();
+        if (this.onChange) this.onChange();
+    }
+
+    /**
+     * Apply the range to every chart and redraw them.
+     */
+    update() {
+        const range = this.visibleRange();
+        if (this.onRender) this.onRender(range);
+        for (const { chart } of this.views) {
+            chart.options.scales.x.min = range ? range.min : undefined;
+            chart.options.scales.x.max = range ? range.max : undefined;
+            chart.update('none');
+        }
+        this.updateReadouts();
+    }
+
+    /**
+     * Forget the range and cursors (charts were cleared).
+     */
+    reset() {
+        const wasFollowing = this.isFollowing;
+        this.range = null;
+        this.cursors = [];
+        this.drag = null;
+        this.update();
+        if (!wasFollowing && this.onChange) this.onChange();
+    }
+
+    onWheel(view, e) {
+        const range = this.visibleRange();
+        if (!range) return;
+        e.preventDefault();
+        const center = this.valueAtPixel(view, e.offsetX);
+        const factor = e.deltaY > 0 ? this.zoomStep : 1 / this.zoomStep;
+        this.setRange(center - (center - range.min) * factor, center + (range.max - center) * factor);
+    }
+
+    onMouseDown(view, e) {
+        if (e.button !== 0) return;
+        const range = this.visibleRange();
+        if (!range) return;
+        this.drag = { view, startX: e.clientX, offsetX: e.offsetX, range, moved: false };
+    }
+
+    onMouseMove(e) {
+        const drag = this.drag;
+        if (!drag) return;
+        const dx = e.clientX - drag.startX;
+        if (!drag.moved && Math.abs(dx) < this.dragThreshold) return;
+        drag.moved = true;
+        const { chartArea } = drag.view.chart;
+        const secondsPerPixel = (drag.range.max - drag.range.min) / (chartArea.right - chartArea.left);
+        const shift = -dx * secondsPerPixel;
+        this.setRange(drag.range.min + shift, drag.range.max + shift);
+    }
+
+    onMouseUp() {
+        const drag = this.drag;
+        this.drag = null;
+        if (!drag || drag.moved) return;
+        const { chartArea } = drag.view.chart;
+        if (drag.offsetX < chartArea.left || drag.offsetX > chartArea.right) return;
+        this.placeCursor(this.valueAtPixel(drag.view, drag.offsetX));
+    }
+
+    valueAtPixel(view, px) {
+        return view.chart.scales.x.getValueForPixel(px);
+    }
+
+    /**
+     * Cursors
+     */
+    placeCursor(x) {
+        if (this.cursors.length >= 2) this.cursors = [];
+        this.cursors.push(x);
+        this.redraw();
+    }
+
+    clearCursors() {
+        if (this.cursors.length === 0) return;
+        this.cursors = [];
+        this.redraw();
+    }
+
+    redraw() {
+        for (const { chart } of this.views) chart.draw();
+        this.updateReadouts();
+    }
+
+    /**
+     * Cursor measurements on one chart's signal.
+     * @returns {Object|null} {a, b, dt, dy, slope}; b and the deltas are null with one cursor
+     */
+    measure(view) {
+        if (this.cursors.length === 0) return null;
+        const [xa, xb] = this.cursors;
+        const a = { x: xa, y: view.valueAt(xa) };
+        if (xb === undefined) return { a, b: null, dt: null, dy: null, slope: null };
+
+        const b = { x: xb, y: view.valueAt(xb) };
+        const dt = b.x - a.x;
+        const dy = a.y !== null && b.y !== null ? b.y - a.y : null;
+        const slope = dy !== null && dt !== 0 ? dy / dt : null;
+        return { a, b, dt, dy, slope };
+    }
+
+    updateReadouts() {
+        for (const view of this.views) {
+            if (!view.readout) continue;
+            const m = this.measure(view);
+            view.readout.textContent = m ? ChartNavigator.format(m, view.unit) : '';
+        }
+    }
+
+    static format(m, unit) {
+        const value = y => (y !== null ? `${y.toFixed(1)} ${unit}` : '--');
+        const parts = [`A ${m.a.x.toFixed(2)} s · ${value(m.a.y)}`];
+        if (m.b) {
+            parts.push(`B ${m.b.x.toFixed(2)} s · ${value(m.b.y)}`);
+            parts.push(`Δt ${m.dt.toFixed(3)} s`);
+            parts.push(`Δ ${m.dy !== null ? `${m.dy.toFixed(1)} ${unit}` : '--'}`);
+            parts.push(`slope ${m.slope !== null ? `${m.slope.toFixed(2)} ${unit}/s` : '--'}`);
+        }
+        return parts.join('   ');
+    }
+
+    drawCursors(chart) {
+        if (this.cursors.length === 0) return;
+        const { ctx, chartArea, scales } = chart;
+        const px = this.cursors.map(x => scales.x.getPixelForValue(x));
+        const colors = ['#38bdf8', '#f472b6'];
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(chartArea.left, chartArea.top, chartArea.right - chartArea.left, chartArea.bottom - chartArea.top);
+        ctx.clip();
+        if (px.length === 2) {
+            ctx.fillStyle = 'rgba(148, 163, 184, 0.08)';
+            ctx.fillRect(Math.min(...px), chartArea.top, Math.abs(px[1] - px[0]), chartArea.bottom - chartArea.top);
+        }
+        ctx.font = '10px sans-serif';
+        ctx.setLineDash([2, 3]);
+        px.forEach((x, i) => {
+            ctx.strokeStyle = colors[i];
+            ctx.fillStyle = colors[i];
+            ctx.beginPath();
+            ctx.moveTo(x, chartArea.top);
+            ctx.lineTo(x, chartArea.bottom);
+            ctx.stroke();
+            ctx.fillText(i === 0 ? 'A' : 'B', x + 3, chartArea.bottom - 4);
+        });
+        ctx.restore();
+    }
+}
@@ -0,0 +1,226 @@
+/**
+ * CommandConsole class
+ * Free-form sending from the terminal: ASCII lines, hex byte sequences and
+ * named command macros, with a persisted history and saved scripts.
+ *
+ * Script format, one command per line:
+ *   # comment
+ *   ascii ZERO             text, sent with the line ending
+ *   hex AA 03 10 01 01 B9  bytes (spaces, commas and 0x optional)
+ *   macro START            a DEVICE_COMMANDS name, framed and acknowledged
+ *   wait 500               pause in ms
+ * A command may end with `@<ms>` to set its own delay before the next line;
+ * otherwise the script's default delay applies.
+ */
+class CommandConsole {
+    /**
+     * @param {SerialManager} serial
+     * @param {CommandChannel} commands
+     * @param {Object} [options]
+     */
+    constructor(serial, commands, options = {}) {
+        this.serial = serial;
+        this.commands = commands;
+        this.lineEnding = options.lineEnding ?? '\n';
+        this.historySize = options.historySize ?? 50;
+        this.storage = options.storage ?? window.localStorage;
+
+        this.history = this.load('inibp.console.history', []);
+        this.historyIndex = this.history.length;
+
+        this.script = null; // { steps, index }
+        this.running = false;
+    }
+
+    /**
+     * @param {string} text e.g. "AA 02 01 00", "aa0201", "0xAA,0x02"
+     * @returns {Uint8Array}
+     */
+    static parseHex(text) {
+        const clean = text.replace(/0x/gi, '').replace(/[\s,]+/g, '');
+        if (clean === '' || clean.length % 2 !== 0 || /[^0-9a-f]/i.test(clean)) {
+            throw new Error(`Invalid hex bytes: ${text}`);
+        }
+        const bytes = new Uint8Array(clean.length / 2);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(clean.substr(i * 2, 2), 16);
+        }
+        return bytes;
+    }
+
+    /**
+     * Validate one command.
+     * @param {string} kind ascii | hex | macro | wait
+     * @param {string} text Argument
+     * @param {number|null} [delay] Delay after this command (ms), null for the default
+     * @returns {{kind: string, text: string, delay: number|null, data?: Uint8Array, command?: Object, ms?: number}}
+     */
+    static parseCommand(kind, text, delay = null) {
+        const entry = { kind, text, delay };
+        switch (kind) {
+            case 'ascii':
+                break;
+            case 'hex':
+                entry.data = CommandConsole.parseHex(text);
+                break;
+            case 'macro':
+                entry.command = DEVICE_COMMANDS[text.trim().toUpperCase()];
+                if (!entry.command) throw new Error(`Unknown macro: ${text}`);
+                break;
+            case 'wait':
+                entry.ms = Number(text);
+                if (!Number.isFinite(entry.ms) || entry.ms < 0) throw new Error(`Invalid wait: ${text}`);
+                break;
+            default:
+                throw new Error(`Unknown command type: ${kind}`);
+        }
+        return entry;
+    }
+
+    /**
+     * @param {string} text Script source
+     * @returns {Array} Steps from parseCommand(), each with its source line number
+     */
+    static parseScript(text) {
+        const steps = [];
+        text.split(/\r?\n/).forEach((raw, i) => {
+            const line = raw.trim();
+            if (line === '' || line.startsWith('#')) return;
+
+            const match = /^(\w+)\s*(.*?)(?:\s+@(\d+))?$/.exec(line);
+            if (!match) throw new Error(`Line ${i + 1}: expected "<type> <argument>"`);
+            const kind = match[1].toLowerCase();
+            const delay = match[3] !== undefined ? Number(match[3]) : null;
+            try {
+                steps.push({ ...CommandConsole.parseCommand(kind, match[2], delay), line: i + 1 });
+            } catch (error) {
+                throw new Error(`Line ${i + 1}: ${error.message}`);
+            }
+        });
+        return steps;
+    }
+
+    /**
+     * Send one parsed command.
+     * @returns {Promise<{ok: boolean, reason?: string}>}
+     */
+    async execute(entry) {
+        switch (entry.kind) {
+            case 'ascii':
+            case 'hex': {
+                const ok = await this.serial.write(entry.kind === 'ascii' ? entry.text + this.lineEnding : entry.data);
+                return ok ? { ok } : { ok, reason: 'write failed' };
+            }
+            case 'macro':
+                return this.commands.send(entry.command.code);
+            case 'wait':
+                await CommandConsole.sleep(entry.ms);
+                return { ok: true };
+        }
+        return { ok: false, reason: 'unknown command' };
+    }
+
+    static sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * History
+     */
+    addHistory(kind, text) {
+        const last = this.history[this.history.length - 1];
+        if (!last || last.kind !== kind || last.text !== text) {
+            this.history.push({ kind, text });
+            if (this.history.length > this.historySize) this.history.shift();
+            this.save('inibp.console.history', this.history);
+        }
+        this.historyIndex = this.history.length;
+    }
+
+    /**
+     * Step through the history (-1 older, +1 newer).
+     * @returns {{kind: string, text: string}|null} null past the newest entry
+     */
+    browseHistory(direction) {
+        this.historyIndex = Math.max(0, Math.min(this.history.length, this.historyIndex + direction));
+        return this.history[this.historyIndex] || null;
+    }
+
+    /**
+     * Scripts
+     */
+    loadScript(text) {
+        this.script = { steps: CommandConsole.parseScript(text), index: 0 };
+        return this.script.steps.length;
+    }
+
+    /**
+     * Execute the next script step.
+     * @returns {Promise<Object|null>} The step with its `result`, or null when the script is done
+     */
+    async step() {
+        if (!this.script || this.script.index >= this.script.steps.length) return null;
+        const step = this.script.steps[this.script.index++];
+        step.result = await this.execute(step);
+        return step;
+    }
+
+    /**
+     * Run the remaining steps, waiting between commands.
+     * Stops at the first failure or when stop() is called.
+     * @param {number} defaultDelay ms after commands without their own `@<ms>`
+     * @param {Function} [onStep] Called with each executed step
+     * @returns {Promise<boolean>} true if the script ran to the end
+     */
+    async run(defaultDelay, onStep) {
+        this.running = true;
+        try {
+            let step;
+            while (this.running && (step = await this.step())) {
+                if (onStep) onStep(step);
+                if (!step.result.ok) return false;
+                if (step.kind !== 'wait') await CommandConsole.sleep(step.delay ?? defaultDelay);
+            }
+            return this.running;
+        } finally {
+            this.running = false;
+        }
+    }
+
+    stop() {
+        this.running = false;
+    }
+
+    savedScripts() {
+        return this.load('inibp.console.scripts', {});
+    }
+
+    saveScript(name, text) {
+        const scripts = this.savedScripts();
+        scripts[name] = text;
+        this.save('inibp.console.scripts', scripts);
+    }
+
+    deleteScript(name) {
+        const scripts = this.savedScripts();
+        delete scripts[name];
+        this.save('inibp.console.scripts', scripts);
+    }
+
+    load(key, fallback) {
+        try {
+            const value = JSON.parse(this.storage.getItem(key));
+            return value ?? fallback;
+        } catch (error) {
+            return fallback;
+        }
+    }
+
+    save(key, value) {
+        try {
+            this.storage.setItem(key, JSON.stringify(value));
+        } catch (error) {
+            console.warn('Could not save console data:', error);
+        }
+    }
+}
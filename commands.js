@@ -0,0 +1,135 @@
+/**
+ * CommandChannel class
+ * Sends framed, sequence-numbered commands and waits for the device to
+ * acknowledge them, retrying on timeout. Text-line boards get the command
+ * as a line instead and never acknowledge it.
+ */
+const DEVICE_COMMANDS = {
+    START: { code: 1, label: 'START' },
+    ABORT: { code: 2, label: 'ABORT' },
+    LINEAR: { code: 3, label: 'LINEAR DEFLATION' },
+    HOLD: { code: 4, label: 'STATIC HOLD' }, // Inflate to a target (mmHg) and hold it until ABORT
+};
+
+class CommandChannel {
+    /**
+     * @param {SerialManager} serial
+     * @param {Object} [options]
+     */
+    constructor(serial, options = {}) {
+        this.serial = serial;
+        this.timeoutMs = options.timeoutMs ?? 250;
+        this.retries = options.retries ?? 3;
+
+        this.seq = 0;
+        this.pending = new Map(); // seq -> { command, resolve }
+
+        this.serial.on('ack', (ack) => this.handleAck(ack));
+    }
+
+    /**
+     * What a pending command resolves with when cancelAll() drops it.
+     */
+    static get CANCELLED() {
+        return 'cancelled';
+    }
+
+    nextSeq() {
+        this.seq = (this.seq + 1) & 0xFF;
+        return this.seq;
+    }
+
+    /**
+     * Send a command and wait for its acknowledgement.
+     * Retries reuse the same sequence number so the device can ignore duplicates.
+     * @param {number} command Command code
+     * @param {Object} [options] { retries } override, { value } argument (sent as a command-arg frame)
+     * @returns {Promise<{ok: boolean, attempts: number, reason?: string, unacknowledged?: boolean}>}
+     *   unacknowledged: sent as a text line, ok only means it was written
+     */
+    async send(command, options = {}) {
+        const retries = options.retries ?? this.retries;
+        const urgent = command === DEVICE_COMMANDS.ABORT.code; // Never waits behind queued writes
+        if (this.serial.mode === 'text') return this.sendLine(command, options.value, urgent);
+
+        const seq = this.nextSeq();
+        const frame = options.value === undefined
+            ? this.serial.registry.encode('command', { seq, command })
+            : this.serial.registry.encode('command-arg', { seq, command, value: options.value });
+
+        for (let attempt = 1; attempt <= retries + 1; attempt++) {
+            // Pending before the write, so an early ack is not missed; the
+            // timeout only runs once the frame is out, not while it is queued
+            const ack = this.waitForAck(seq, command);
+            const written = await this.serial.write(frame, { urgent });
+            if (ack.outcome === CommandChannel.CANCELLED) return { ok: false, attempts: attempt, reason: 'cancelled' };
+            if (!written) {
+                this.pending.delete(seq);
+                return { ok: false, attempts: attempt, reason: 'write failed' };
+            }
+            ack.arm();
+
+            const result = await ack.result;
+            if (result === CommandChannel.CANCELLED) return { ok: false, attempts: attempt, reason: 'cancelled' };
+            if (result === null) continue; // Timed out: try again
+
+            return result === 0
+                ? { ok: true, attempts: attempt }
+                : { ok: false, attempts: attempt, reason: `rejected (code ${result})` };
+        }
+        return { ok: false, attempts: retries + 1, reason: 'no acknowledgement' };
+    }
+
+    /**
+     * Text boards only print readings: the command goes out as `<code>` or
+     * `<code> <value>` plus the line ending, once, without waiting for an ack.
+     */
+    async sendLine(command, value, urgent) {
+        const line = value === undefined ? `${command}` : `${command} ${value}`;
+        const written = await this.serial.write(line + this.serial.lineEnding, { urgent });
+        return written
+            ? { ok: true, attempts: 1, unacknowledged: true }
+            : { ok: false, attempts: 1, reason: 'write failed' };
+    }
+
+    /**
+     * Register a command as pending; its timeout starts with arm().
+     * @returns {{result: Promise<number|string|null>, arm: Function, outcome: *}}
+     *   result resolves with the ack result code, null on timeout or
+     *   CommandChannel.CANCELLED; outcome holds it once settled
+     */
+    waitForAck(seq, command) {
+        const ack = { outcome: undefined };
+        let timer = null;
+        ack.result = new Promise((resolve) => {
+            const settle = (result) => {
+                clearTimeout(timer);
+                this.pending.delete(seq);
+                ack.outcome = result;
+                resolve(result);
+            };
+            this.pending.set(seq, { command, resolve: settle });
+            ack.arm = () => {
+                if (ack.outcome === undefined) timer = setTimeout(() => settle(null), this.timeoutMs);
+            };
+        });
+        return ack;
+    }
+
+    handleAck({ seq, command, result }) {
+        const entry = this.pending.get(seq);
+        // Late or foreign acks are ignored
+        if (!entry || entry.command !== command) return;
+        entry.resolve(result);
+    }
+
+    /**
+     * Fail every outstanding command (e.g. on disconnect).
+     */
+    cancelAll() {
+        for (const entry of this.pending.values()) {
+            entry.resolve(CommandChannel.CANCELLED);
+        }
+        this.pending.clear();
+    }
+}
@@ -0,0 +1,79 @@
+/**
+ * Decode worker
+ * Runs the StreamDecoder and the SignalPipeline off the main thread.
+ * Received chunks come in as {type: 'chunk', chunk, time}; the samples
+ * decoded from a chunk go back analysed, as one 'samples' message holding
+ * the pipeline's batch (typed arrays whose buffers are transferred rather
+ * than copied) together with the link statistics. Other packets and
+ * inspector events are posted as they occur, after the samples decoded
+ * before them, so stream order is kept. Pipeline settings arrive as
+ * {type: 'pipeline', method, args, id}; calls with an id are answered with
+ * a 'reply'.
+ */
+importScripts('protocol.js', 'link-stats.js', 'text-protocol.js', 'decoder.js', 'calibration.js', 'filters.js',
+    'deflation.js', 'beats.js', 'oscillometry.js', 'pipeline.js');
+
+const decoder = new StreamDecoder();
+const pipeline = new SignalPipeline();
+let pending = []; // [{time, cuff, pulse}] decoded since the last flush
+
+decoder.onPacket = (name, values) => {
+    if (name === 'sample') {
+        pending.push({ time: values.time, cuff: values.cuff, pulse: values.pulse });
+        return;
+    }
+    flush();
+    postMessage({ type: 'packet', name, values });
+};
+
+function postInspect(event) {
+    flush();
+    postMessage({ type: 'inspect', event });
+}
+
+/**
+ * Analyse and post the pending samples.
+ * @param {boolean} [withStats] Also post the link statistics, even without samples
+ */
+function flush(withStats = false) {
+    if (pending.length === 0 && !withStats) return;
+
+    const batch = pipeline.process(pending);
+    pending = [];
+
+    const message = { type: 'samples', batch };
+    if (withStats) {
+        const stats = decoder.stats;
+        message.stats = { ...stats.snapshot(), lastSeq: stats.lastSeq, recentRates: stats.recentRates };
+    }
+    postMessage(message, SignalPipeline.transferables(batch));
+}
+
+self.onmessage = ({ data }) => {
+    switch (data.type) {
+        case 'chunk':
+            decoder.push(data.chunk, data.time);
+            flush(true);
+            break;
+        case 'reset':
+            decoder.reset(data.resume);
+            pending = [];
+            break;
+        case 'text-mode':
+            decoder.setTextMode({ lineEnding: data.lineEnding, parser: new LineParser(data.parser) });
+            break;
+        case 'binary-mode':
+            decoder.setBinaryMode();
+            break;
+        case 'inspect':
+            decoder.onInspect = data.enabled ? postInspect : null;
+            break;
+        case 'pipeline': {
+            const result = pipeline[data.method](...data.args);
+            if (data.id !== undefined) postMessage({ type: 'reply', id: data.id, result });
+            break;
+        }
+    }
+};
+
+postMessage({ type: 'ready' });
@@ -0,0 +1,302 @@
+/**
+ * StreamDecoder class
+ * Turns the received byte stream into packets. Binary frame layouts come
+ * from a PacketRegistry (protocol.js); in text mode the stream is split
+ * into lines instead, each reported as 'line' and, when the LineParser maps
+ * it, as a 'sample'. Link health is counted in `stats`.
+ * A chunk's packets and inspector events are delivered together once it is
+ * decoded, with each sample timestamped (`time`, ms): a chunk holds many
+ * samples, so they are spaced at the sample interval, the last one at the
+ * chunk's arrival time.
+ * Runs in the decode worker, or on the main thread when no worker is available.
+ */
+class StreamDecoder {
+    /**
+     * @param {PacketRegistry} [registry]
+     */
+    constructor(registry = PacketRegistry.createDefault()) {
+        this.registry = registry;
+        this.onPacket = null; // (name, values) for every decoded packet
+        this.onInspect = null; // Accepted/rejected frames, see processIncomingChunk(); null when nobody listens
+
+        // Protocol Buffer
+        this.rxBuffer = new Uint8Array(4096);
+        this.rxHead = 0;
+        this.rejectRun = null; // Pending run of discarded bytes for the inspector
+        this.stats = new LinkStats();
+        this.chunkTime = 0; // Arrival time (ms) of the chunk being decoded
+        this.outbox = []; // [{name, values} | {inspect}] of the chunk being decoded
+        this.lastChunkTime = null; // Arrival time of the previous chunk with samples
+        this.lastSampleTime = -Infinity; // Sample times never go backwards
+
+        // Text mode (see setTextMode())
+        this.mode = 'binary'; // binary | text
+        this.lineEnding = '\n';
+        this.lineParser = null;
+        this.lineBuffer = '';
+        this.textDecoder = new TextDecoder();
+        this.textEncoder = new TextEncoder();
+    }
+
+    /**
+     * Forget buffered bytes (a port was opened).
+     * @param {boolean} [resume] Keep the link statistics across a reconnect
+     */
+    reset(resume = false) {
+        this.rxHead = 0;
+        this.rejectRun = null;
+        this.lineBuffer = '';
+        this.textDecoder = new TextDecoder();
+        this.outbox = [];
+        this.lastChunkTime = null;
+        this.lastSampleTime = -Infinity;
+        if (resume) {
+            this.stats.restart(); // The device may have restarted its count
+        } else {
+            this.stats.reset();
+        }
+    }
+
+    /**
+     * Switch to line-based text input.
+     * @param {Object} options
+     * @param {string} options.lineEnding Actual characters, e.g. '\r\n'
+     * @param {LineParser} options.parser Maps a line to cuff/pulse
+     */
+    setTextMode({ lineEnding, parser }) {
+        this.mode = 'text';
+        this.lineEnding = lineEnding;
+        this.lineParser = parser;
+        this.lineBuffer = '';
+    }
+
+    setBinaryMode() {
+        this.mode = 'binary';
+        this.lineParser = null;
+        this.lineBuffer = '';
+    }
+
+    /**
+     * Decode a received chunk.
+     * @param {Uint8Array} chunk
+     * @param {number} [time] Arrival time (ms)
+     */
+    push(chunk, time = Date.now()) {
+        this.chunkTime = time;
+        if (this.mode === 'text') {
+            this.processIncomingText(chunk);
+        } else {
+            this.processIncomingChunk(chunk);
+        }
+        this.deliver();
+    }
+
+    /**
+     * Timestamp the chunk's samples and hand everything on in stream order.
+     */
+    deliver() {
+        const queued = this.outbox;
+        this.outbox = [];
+        const samples = queued.filter(q => q.name === 'sample');
+        const n = samples.length;
+        if (n > 0) {
+            // Sample interval from the device's rate; before that is known, the
+            // chunk is spread over the time since the previous one
+            const rate = this.stats.nominalRate || this.stats.sampleRate;
+            const since = this.lastChunkTime === null ? 0 : this.chunkTime - this.lastChunkTime;
+            const interval = rate > 0 ? 1000 / rate : (since < LinkStats.STALL_MS ? since / n : 0);
+            samples.forEach(({ values }, i) => {
+                const time = Math.max(this.chunkTime - (n - 1 - i) * interval, this.lastSampleTime);
+                values.time = time;
+                this.lastSampleTime = time;
+            });
+            this.lastChunkTime = this.chunkTime;
+        }
+        for (const q of queued) {
+            if (q.inspect) {
+                if (this.onInspect) this.onInspect(q.inspect);
+            } else if (this.onPacket) {
+                this.onPacket(q.name, q.values);
+            }
+        }
+    }
+
+    /**
+     * Handle incoming raw bytes and look for packets.
+     * Frame format: Start(0xAA) | Len | Payload(Len) | Checksum
+     * When onInspect is set it receives every accepted frame
+     * ({type: 'frame', name, bytes, values}) and every discarded byte run
+     * ({type: 'reject', reason, bytes, detail}).
+     * @param {Uint8Array} chunk
+     */
+    processIncomingChunk(chunk) {
+        // Append to buffer
+        if (this.rxHead + chunk.length > this.rxBuffer.length) {
+            // Simple safety: Reset if buffer overflows
+            // Ideally, we should shift data or use a ring buffer, but for typical packet sizes 4096 is plenty
+            console.warn('Buffer overflow, resetting');
+            this.stats.overflows++;
+            this.stats.overflowBytes += this.rxHead;
+            this.rxHead = 0;
+        }
+        this.rxBuffer.set(chunk, this.rxHead);
+        this.rxHead += chunk.length;
+
+        // Try to find packets
+        let searchIdx = 0;
+
+        // Loop while we have at least a start and length byte
+        while (searchIdx <= this.rxHead - 2) {
+            // Check for Start Byte and a length some packet could have
+            const payloadLen = this.rxBuffer[searchIdx + 1];
+            if (this.rxBuffer[searchIdx] !== PacketRegistry.START_BYTE) {
+                this.noteRejected(searchIdx, 'bad start byte');
+            } else if (!this.registry.hasLength(payloadLen)) {
+                this.stats.lengthErrors++;
+                this.noteRejected(searchIdx, 'wrong length', 2, `no packet has length ${payloadLen}`);
+            } else {
+                const frameLen = payloadLen + 3;
+                if (searchIdx + frameLen > this.rxHead) {
+                    // Plausible frame, not fully received yet
+                    break;
+                }
+
+                const def = this.registry.lookup(payloadLen, this.rxBuffer[searchIdx + 2]);
+                if (!def) {
+                    this.stats.lengthErrors++;
+                    const type = this.rxBuffer[searchIdx + 2];
+                    this.noteRejected(searchIdx, 'wrong length', frameLen, `no packet of type 0x${type.toString(16).padStart(2, '0')} has length ${payloadLen}`);
+                } else if (!this.verifyChecksum(searchIdx, frameLen)) {
+                    this.stats.checksumFailures++;
+                    const expected = PacketRegistry.checksum(this.rxBuffer, searchIdx, searchIdx + frameLen - 1);
+                    const got = this.rxBuffer[searchIdx + frameLen - 1];
+                    this.noteRejected(searchIdx, 'checksum mismatch', frameLen, `got 0x${got.toString(16).padStart(2, '0')}, expected 0x${expected.toString(16).padStart(2, '0')}`);
+                } else {
+                    // Found a valid packet!
+                    this.parsePacket(searchIdx, def);
+                    searchIdx += frameLen; // Move past this packet
+                    continue;
+                }
+            }
+            // If not a packet, move forward one byte
+            this.stats.resyncBytes++;
+            searchIdx++;
+        }
+        this.flushRejected();
+
+        // Shift remaining bytes to start of buffer
+        if (searchIdx > 0) {
+            // rxHead - searchIdx = bytes remaining
+            this.rxBuffer.copyWithin(0, searchIdx, this.rxHead);
+            this.rxHead -= searchIdx;
+        }
+    }
+
+    /**
+     * Split incoming text into lines on the configured ending.
+     * @param {Uint8Array} chunk
+     */
+    processIncomingText(chunk) {
+        this.lineBuffer += this.textDecoder.decode(chunk, { stream: true });
+
+        let end;
+        while ((end = this.lineBuffer.indexOf(this.lineEnding)) !== -1) {
+            const line = this.lineBuffer.slice(0, end);
+            this.lineBuffer = this.lineBuffer.slice(end + this.lineEnding.length);
+            this.parseLine(line);
+        }
+
+        // Same limit as the binary buffer: a missing terminator must not grow forever
+        if (this.lineBuffer.length > this.rxBuffer.length) {
+            console.warn('Line buffer overflow, resetting');
+            this.stats.overflows++;
+            this.stats.overflowBytes += this.lineBuffer.length;
+            this.lineBuffer = '';
+        }
+    }
+
+    /**
+     * @param {string} line Without its line ending
+     */
+    parseLine(line) {
+        this.emit('line', { text: line });
+        if (line.trim() === '') return;
+
+        const values = this.lineParser ? this.lineParser.parse(line) : null;
+        if (values) {
+            this.stats.frame('sample', values, this.chunkTime);
+        } else {
+            this.stats.unparsedLines++;
+        }
+
+        if (this.onInspect) {
+            this.inspect(values
+                ? { type: 'frame', name: 'line', text: line, bytes: this.textEncoder.encode(line), values }
+                : { type: 'reject', reason: 'unparsed line', text: line, bytes: this.textEncoder.encode(line), detail: '' });
+        }
+        if (values) this.emit('sample', values);
+    }
+
+    verifyChecksum(idx, frameLen) {
+        // XOR everything before the last byte, compare with the last byte
+        const checksum = PacketRegistry.checksum(this.rxBuffer, idx, idx + frameLen - 1);
+        return checksum === this.rxBuffer[idx + frameLen - 1];
+    }
+
+    /**
+     * Record a byte the scanner is skipping. Consecutive bad start bytes
+     * are merged into one run; a rejected frame candidate is reported with
+     * its first `span` bytes for context (only the start byte is consumed).
+     */
+    noteRejected(idx, reason, span = 1, detail = '') {
+        if (!this.onInspect) return;
+        const run = this.rejectRun;
+        if (run && span === 1 && run.span === 1 && run.reason === reason && run.end === idx) {
+            run.end++;
+            return;
+        }
+        this.flushRejected();
+        this.rejectRun = { start: idx, end: idx + 1, span, reason, detail };
+    }
+
+    flushRejected() {
+        const run = this.rejectRun;
+        if (!run) return;
+        this.rejectRun = null;
+        const end = run.span > 1 ? run.start + run.span : run.end;
+        this.inspect({
+            type: 'reject',
+            reason: run.reason,
+            bytes: this.rxBuffer.slice(run.start, end),
+            detail: run.detail
+        });
+    }
+
+    /**
+     * Decode a verified frame and report it.
+     * @param {number} idx Index of the start byte
+     * @param {Object} def Registry definition
+     */
+    parsePacket(idx, def) {
+        const values = this.registry.decode(def, this.rxBuffer, idx);
+        this.stats.frame(def.name, values, this.chunkTime);
+        if (this.onInspect) {
+            this.flushRejected();
+            this.inspect({
+                type: 'frame',
+                name: def.name,
+                bytes: this.rxBuffer.slice(idx, idx + def.payloadLength + 3),
+                values
+            });
+        }
+        this.emit(def.name, values);
+    }
+
+    emit(name, values) {
+        this.outbox.push({ name, values });
+    }
+
+    inspect(event) {
+        this.outbox.push({ inspect: event });
+    }
+}
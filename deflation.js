@@ -0,0 +1,271 @@
+/**
+ * DeflationAnalyzer class
+ * Measures how linear a LINEAR DEFLATION run was: the instantaneous rate
+ * (least-squares slope over a short window), the average rate over the
+ * whole deflation, the valve steps of a stepped deflation, and the
+ * stretches where the rate left the tolerance band around the target.
+ * Once a stepped deflation is recognised the rate is taken per step cycle
+ * (step to step) instead, since a window shorter than a cycle would swing
+ * between zero and the step speed.
+ */
+class DeflationAnalyzer {
+    constructor(options = {}) {
+        // Tolerance band (mmHg/s)
+        this.targetRate = options.targetRate ?? 3;
+        this.tolerance = options.tolerance ?? 1;
+        // Slope window (ms), long enough to average out pulse oscillations and single valve steps
+        this.rateWindowMs = options.rateWindowMs ?? 2000;
+        // Deflation starts this far below the peak (mmHg) and is analysed down to endPressure
+        this.startDrop = options.startDrop ?? 5;
+        this.endPressure = options.endPressure ?? 30;
+        // A drop of minStep mmHg within stepMaxMs is a valve step; it ends when
+        // the pressure has not reached a new low for stepSettleMs
+        this.minStep = options.minStep ?? 3;
+        this.stepMaxMs = options.stepMaxMs ?? 250;
+        this.stepSettleMs = options.stepSettleMs ?? 100;
+        // Excursions shorter than this (ms) are not flagged
+        this.minFlagMs = options.minFlagMs ?? 500;
+
+        this.reset();
+    }
+
+    /**
+     * Forget the run.
+     */
+    reset() {
+        this.phase = 'idle'; // idle | waiting | deflating | done
+        this.sampleCount = 0;
+        this.peak = -Infinity;
+        this.start = null; // {time, cuff} where deflation began
+        this.last = null;
+        this.rate = null;
+        this.minRate = Infinity;
+        this.maxRate = -Infinity;
+        this.window = []; // [{time, cuff}] over rateWindowMs
+        this.recent = []; // [{time, cuff, sample}] over stepMaxMs
+        this.step = null; // Step in progress
+        this.steps = []; // [{time, from, to, size}]
+        this.excursion = null; // Out-of-band stretch in progress
+        this.flags = []; // [{start, end, minRate, maxRate}]
+    }
+
+    /**
+     * Arm for a new run: waits for the peak, then analyses the deflation.
+     */
+    begin() {
+        this.reset();
+        this.phase = 'waiting';
+    }
+
+    get isActive() {
+        return this.phase === 'waiting' || this.phase === 'deflating';
+    }
+
+    /**
+     * Feed one cuff sample.
+     * @param {number} cuff mmHg
+     * @param {number} time ms
+     * @returns {Object|null} {rate, inBand, step, done} while deflating; rate is
+     *   null until the first window is full, step is set when a valve step ends
+     */
+    process(cuff, time) {
+        this.sampleCount++;
+        if (this.phase === 'waiting') {
+            this.peak = Math.max(this.peak, cuff);
+            if (cuff > this.peak - this.startDrop) return null;
+            this.phase = 'deflating';
+            this.start = { time, cuff };
+        }
+        if (this.phase !== 'deflating') return null;
+
+        this.last = { time, cuff };
+        if (cuff < this.endPressure) {
+            this.phase = 'done';
+            this.closeExcursion(time);
+            return { rate: this.rate, inBand: this.inBand(this.rate), step: null, done: true };
+        }
+
+        const step = this.detectStep(cuff, time);
+        if (this.isStepped) {
+            if (step) this.setRate(this.cycleRate());
+        } else {
+            this.window.push({ time, cuff });
+            while (this.window.length > 1 && time - this.window[0].time > this.rateWindowMs) {
+                this.window.shift();
+            }
+            if (time - this.window[0].time >= this.rateWindowMs * 0.9) {
+                this.setRate(-DeflationAnalyzer.slope(this.window) * 1000);
+            }
+        }
+        if (this.rate !== null) this.trackBand(this.rate, time);
+
+        return { rate: this.rate, inBand: this.inBand(this.rate), step, done: false };
+    }
+
+    get isStepped() {
+        return this.steps.length >= 2;
+    }
+
+    /**
+     * Rate over the last step cycle (mmHg/s). On the first cycle the windowed
+     * rates measured so far are dropped: they only described the valve pattern.
+     */
+    cycleRate() {
+        const [prev, last] = this.steps.slice(-2);
+        if (this.steps.length === 2) {
+            this.minRate = Infinity;
+            this.maxRate = -Infinity;
+            this.excursion = null;
+            this.flags = [];
+        }
+        return (prev.from - last.from) / ((last.time - prev.time) / 1000);
+    }
+
+    setRate(rate) {
+        this.rate = rate;
+        this.minRate = Math.min(this.minRate, rate);
+        this.maxRate = Math.max(this.maxRate, rate);
+    }
+
+    inBand(rate) {
+        return rate === null || Math.abs(rate - this.targetRate) <= this.tolerance;
+    }
+
+    trackBand(rate, time) {
+        if (this.inBand(rate)) {
+            this.closeExcursion(time);
+        } else if (!this.excursion) {
+            this.excursion = { start: time, minRate: rate, maxRate: rate };
+        } else {
+            this.excursion.minRate = Math.min(this.excursion.minRate, rate);
+            this.excursion.maxRate = Math.max(this.excursion.maxRate, rate);
+        }
+    }
+
+    closeExcursion(time) {
+        const e = this.excursion;
+        this.excursion = null;
+        if (e && time - e.start >= this.minFlagMs) {
+            this.flags.push({ ...e, end: time });
+        }
+    }
+
+    /**
+     * @returns {Object|null} Completed step {time, from, to, size, lag}
+     */
+    detectStep(cuff, time) {
+        if (this.step) {
+            if (cuff < this.step.to) {
+                this.step.to = cuff;
+                this.step.lowTime = time;
+            } else if (time - this.step.lowTime >= this.stepSettleMs) {
+                const { start, from, to, sample } = this.step;
+                this.step = null;
+                this.recent = [];
+                const step = { time: start, from, to, size: from - to };
+                this.steps.push(step);
+                return { ...step, lag: this.sampleCount - sample };
+            }
+            return null;
+        }
+
+        this.recent.push({ time, cuff, sample: this.sampleCount });
+        while (this.recent.length > 1 && time - this.recent[0].time > this.stepMaxMs) {
+            this.recent.shift();
+        }
+        let top = this.recent[0];
+        for (const s of this.recent) {
+            if (s.cuff > top.cuff) top = s;
+        }
+        if (top.cuff - cuff >= this.minStep) {
+            this.step = { start: top.time, from: top.cuff, to: cuff, lowTime: time, sample: top.sample };
+        }
+        return null;
+    }
+
+    /**
+     * A stretch without data: rates across it would be meaningless.
+     */
+    interrupt() {
+        if (this.last) this.closeExcursion(this.last.time);
+        this.window = [];
+        this.recent = [];
+        this.step = null;
+    }
+
+    /**
+     * Stop the analysis and summarise it. Flag times are seconds from the
+     * start of the deflation.
+     * @returns {Object|null} null when the deflation never started
+     */
+    finish() {
+        if (this.phase === 'deflating') {
+            this.phase = 'done';
+            this.closeExcursion(this.last.time);
+        }
+        if (!this.start || !this.last || this.last.time <= this.start.time) return null;
+
+        const duration = (this.last.time - this.start.time) / 1000;
+        const intervals = [];
+        for (let i = 1; i < this.steps.length; i++) {
+            intervals.push(this.steps[i].time - this.steps[i - 1].time);
+        }
+        const mean = values => values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+        const meanInterval = mean(intervals);
+
+        // Stepped: whole cycles only, the plateaus at either end would dilute the rate
+        const first = this.steps[0];
+        const last = this.steps[this.steps.length - 1];
+        const averageRate = this.isStepped
+            ? (first.from - last.from) / ((last.time - first.time) / 1000)
+            : (this.start.cuff - this.last.cuff) / duration;
+
+        return {
+            targetRate: this.targetRate,
+            tolerance: this.tolerance,
+            from: this.start.cuff,
+            to: this.last.cuff,
+            duration,
+            averageRate,
+            stepped: this.isStepped,
+            minRate: Number.isFinite(this.minRate) ? this.minRate : null,
+            maxRate: Number.isFinite(this.maxRate) ? this.maxRate : null,
+            steps: {
+                count: this.steps.length,
+                meanSize: mean(this.steps.map(s => s.size)),
+                meanInterval: meanInterval === null ? null : meanInterval / 1000
+            },
+            flags: this.flags.map(f => ({ ...f, start: (f.start - this.start.time) / 1000, end: (f.end - this.start.time) / 1000 })),
+            outOfBandSeconds: this.flags.reduce((sum, f) => sum + (f.end - f.start) / 1000, 0)
+        };
+    }
+
+    /**
+     * Least-squares slope of cuff over time (mmHg/ms).
+     * @param {Array<{time: number, cuff: number}>} points
+     */
+    static slope(points) {
+        const n = points.length;
+        const t0 = points[0].time;
+        let st = 0, sc = 0, stt = 0, stc = 0;
+        for (const { time, cuff } of points) {
+            const t = time - t0;
+            st += t;
+            sc += cuff;
+            stt += t * t;
+            stc += t * cuff;
+        }
+        const d = n * stt - st * st;
+        return d > 0 ? (n * stc - st * sc) / d : 0;
+    }
+
+    /**
+     * One-line summary for logs.
+     * @param {Object} s Result of finish()
+     */
+    static summary(s) {
+        return `avg=${s.averageRate.toFixed(2)}mmHg/s target=${s.targetRate}±${s.tolerance} ` +
+            `from=${s.from.toFixed(1)} to=${s.to.toFixed(1)} steps=${s.steps.count} ` +
+            `flagged=${s.flags.length} (${s.outOfBandSeconds.toFixed(1)} s)`;
+    }
+}
@@ -0,0 +1,245 @@
+/**
+ * Signal filters
+ * Streaming (sample-by-sample) filters for the pulse channel. Each has
+ * process(x) -> y and reset(); FilterChain strings them together from a
+ * plain settings object so the same chain can be rebuilt for a stored session.
+ */
+
+/**
+ * Biquad class
+ * Second-order IIR section (RBJ audio EQ cookbook coefficients).
+ */
+class Biquad {
+    /**
+     * @param {string} type 'lowpass' | 'highpass' | 'notch'
+     * @param {number} frequency Corner or centre frequency (Hz)
+     * @param {number} sampleRate Hz
+     * @param {number} [q=Math.SQRT1_2] Quality factor (Butterworth by default)
+     */
+    constructor(type, frequency, sampleRate, q = Math.SQRT1_2) {
+        if (!(frequency > 0 && frequency < sampleRate / 2)) {
+            throw new Error(`${type} frequency ${frequency} Hz must be between 0 and ${sampleRate / 2} Hz (half the sample rate)`);
+        }
+        const w0 = 2 * Math.PI * frequency / sampleRate;
+        const cos = Math.cos(w0);
+        const alpha = Math.sin(w0) / (2 * q);
+
+        let b;
+        switch (type) {
+            case 'lowpass':
+                b = [(1 - cos) / 2, 1 - cos, (1 - cos) / 2];
+                break;
+            case 'highpass':
+                b = [(1 + cos) / 2, -(1 + cos), (1 + cos) / 2];
+                break;
+            case 'notch':
+                b = [1, -2 * cos, 1];
+                break;
+            default:
+                throw new Error(`Unknown biquad type: ${type}`);
+        }
+        const a0 = 1 + alpha;
+        this.b0 = b[0] / a0;
+        this.b1 = b[1] / a0;
+        this.b2 = b[2] / a0;
+        this.a1 = -2 * cos / a0;
+        this.a2 = (1 - alpha) / a0;
+        this.reset();
+    }
+
+    reset() {
+        this.x1 = this.x2 = this.y1 = this.y2 = null;
+    }
+
+    process(x) {
+        if (this.x1 === null) {
+            // Start from steady state on the first sample instead of ringing up from zero
+            const dcGain = (this.b0 + this.b1 + this.b2) / (1 + this.a1 + this.a2);
+            this.x1 = this.x2 = x;
+            this.y1 = this.y2 = x * dcGain;
+        }
+        const y = this.b0 * x + this.b1 * this.x1 + this.b2 * this.x2 - this.a1 * this.y1 - this.a2 * this.y2;
+        this.x2 = this.x1;
+        this.x1 = x;
+        this.y2 = this.y1;
+        this.y1 = y;
+        return y;
+    }
+}
+
+/**
+ * MovingAverageFilter class
+ * Mean of the last `size` samples.
+ */
+class MovingAverageFilter {
+    constructor(size) {
+        this.size = Math.max(1, Math.round(size));
+        this.reset();
+    }
+
+    reset() {
+        this.values = [];
+        this.sum = 0;
+    }
+
+    process(x) {
+        this.values.push(x);
+        this.sum += x;
+        if (this.values.length > this.size) this.sum -= this.values.shift();
+        return this.sum / this.values.length;
+    }
+}
+
+/**
+ * MedianFilter class
+ * Median of the last `size` samples; removes isolated spikes without
+ * flattening the oscillation peaks the way an average would.
+ */
+class MedianFilter {
+    constructor(size) {
+        this.size = Math.max(1, Math.round(size));
+        this.reset();
+    }
+
+    reset() {
+        this.values = [];
+    }
+
+    process(x) {
+        this.values.push(x);
+        if (this.values.length > this.size) this.values.shift();
+        const sorted = [...this.values].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+}
+
+/**
+ * BaselineFilter class
+ * Subtracts the trailing mean over a window, taking out drift and the
+ * slow deflation ramp.
+ */
+class BaselineFilter {
+    constructor(size) {
+        this.mean = new MovingAverageFilter(size);
+    }
+
+    reset() {
+        this.mean.reset();
+    }
+
+    process(x) {
+        return x - this.mean.process(x);
+    }
+}
+
+/**
+ * FilterChain class
+ * Fixed-order chain: median -> notch -> band-pass -> baseline removal ->
+ * moving average, each stage optional. The input is either the device's
+ * pulse channel or the cuff pressure, whose oscillations the band-pass
+ * (or baseline removal) separates from the deflation ramp. Every stage is
+ * off until it is enabled.
+ */
+class FilterChain {
+    /**
+     * @param {Object} settings Overrides for FilterChain.defaults
+     */
+    constructor(settings = {}) {
+        this.settings = FilterChain.normalize(settings);
+        const s = this.settings;
+        const fs = s.sampleRate;
+
+        this.stages = [];
+        if (s.median.enabled) this.stages.push(new MedianFilter(s.median.size));
+        if (s.notch.enabled) {
+            const alias = FilterChain.alias(s.notch.frequency, fs);
+            if (!(alias > 0 && alias < fs / 2)) {
+                throw new Error(`${s.notch.frequency} Hz hum appears at ${alias} Hz when sampled at ${fs} Hz, where a notch cannot reach it`);
+            }
+            this.stages.push(new Biquad('notch', alias, fs, s.notch.q));
+        }
+        if (s.bandpass.enabled) {
+            if (s.bandpass.low >= s.bandpass.high) {
+                throw new Error(`Band-pass low cut (${s.bandpass.low} Hz) must be below the high cut (${s.bandpass.high} Hz)`);
+            }
+            this.stages.push(new Biquad('highpass', s.bandpass.low, fs));
+            this.stages.push(new Biquad('lowpass', s.bandpass.high, fs));
+        }
+        if (s.baseline.enabled) this.stages.push(new BaselineFilter(s.baseline.seconds * fs));
+        if (s.movingAverage.enabled) this.stages.push(new MovingAverageFilter(s.movingAverage.size));
+    }
+
+    static get defaults() {
+        return {
+            source: 'pulse', // 'pulse' | 'cuff'
+            sampleRate: 100, // Hz
+            median: { enabled: false, size: 5 },
+            notch: { enabled: false, frequency: 60, q: 30 }, // Mains Hz; 50 Hz sits on the Nyquist frequency at 100 Hz
+            bandpass: { enabled: false, low: 0.5, high: 5 },
+            baseline: { enabled: false, seconds: 1.5 },
+            movingAverage: { enabled: false, size: 3 }
+        };
+    }
+
+    /**
+     * Where a tone lands once sampled: mains hum above half the sample rate
+     * folds back into the band the samples can hold.
+     * @param {number} frequency Hz
+     * @param {number} sampleRate Hz
+     * @returns {number} Hz, 0 to sampleRate / 2
+     */
+    static alias(frequency, sampleRate) {
+        return Math.abs(frequency - sampleRate * Math.round(frequency / sampleRate));
+    }
+
+    /**
+     * Fill in missing stages and fields from the defaults.
+     * @param {Object} settings
+     */
+    static normalize(settings) {
+        const d = FilterChain.defaults;
+        const result = { ...d, ...settings };
+        for (const stage of ['median', 'notch', 'bandpass', 'baseline', 'movingAverage']) {
+            result[stage] = { ...d[stage], ...(settings[stage] || {}) };
+        }
+        if (result.source !== 'pulse' && result.source !== 'cuff') {
+            throw new Error(`Unknown filter source: ${result.source}`);
+        }
+        if (!(result.sampleRate > 0)) throw new Error(`Invalid sample rate: ${result.sampleRate}`);
+        return result;
+    }
+
+    reset() {
+        for (const stage of this.stages) stage.reset();
+    }
+
+    /**
+     * Filter one sample.
+     * @param {number} cuff
+     * @param {number} pulse
+     * @returns {number} Filtered oscillation signal
+     */
+    process(cuff, pulse) {
+        let value = this.settings.source === 'cuff' ? cuff : pulse;
+        for (const stage of this.stages) value = stage.process(value);
+        return value;
+    }
+
+    /**
+     * Short description for logs.
+     */
+    describe() {
+        const s = this.settings;
+        const parts = [`${s.source} @ ${s.sampleRate} Hz`];
+        if (s.median.enabled) parts.push(`median ${s.median.size}`);
+        if (s.notch.enabled) {
+            const alias = FilterChain.alias(s.notch.frequency, s.sampleRate);
+            parts.push(alias === s.notch.frequency ? `notch ${alias} Hz` : `notch ${s.notch.frequency} Hz (at ${alias} Hz)`);
+        }
+        if (s.bandpass.enabled) parts.push(`band-pass ${s.bandpass.low}-${s.bandpass.high} Hz`);
+        if (s.baseline.enabled) parts.push(`baseline ${s.baseline.seconds} s`);
+        if (s.movingAverage.enabled) parts.push(`average ${s.movingAverage.size}`);
+        return parts.length > 1 ? parts.join(', ') : `${parts[0]}, unfiltered`;
+    }
+}
@@ -0,0 +1,58 @@
+/**
+ * ProtocolInspector class
+ * Turns the scanner's accepted/rejected frame reports (see
+ * SerialManager.onInspectCallback) into terminal lines and keeps
+ * running good/bad frame counts. Bytes skipped while resynchronising
+ * are counted separately from frames that were rejected.
+ */
+class ProtocolInspector {
+    constructor(options = {}) {
+        this.maxBytes = options.maxBytes ?? 32; // Hex bytes shown per line
+        this.reset();
+    }
+
+    reset() {
+        this.good = 0;
+        this.bad = 0;
+        this.skipped = 0;
+    }
+
+    /**
+     * @param {Uint8Array} bytes
+     * @param {number} [max] Truncate after this many bytes
+     */
+    static hex(bytes, max = Infinity) {
+        const shown = Array.from(bytes.subarray(0, max), b => b.toString(16).padStart(2, '0').toUpperCase());
+        if (bytes.length > max) shown.push(`… (+${bytes.length - max})`);
+        return shown.join(' ');
+    }
+
+    /**
+     * Count an event and format it for display.
+     * @param {Object} event From SerialManager.onInspectCallback
+     * @returns {{kind: string, text: string, fields: string}}
+     */
+    describe(event) {
+        const time = new Date().toISOString().slice(11, 23);
+        // Text-mode lines read better as text than as hex
+        const payload = event.text !== undefined
+            ? JSON.stringify(event.text)
+            : ProtocolInspector.hex(event.bytes, this.maxBytes);
+
+        if (event.type === 'frame') {
+            this.good++;
+            const fields = Object.entries(event.values)
+                .map(([name, value]) => `${name}=${Number.isInteger(value) ? value : value.toFixed(2)}`)
+                .join(' ');
+            return { kind: 'frame', text: `${time} ✔ ${event.name.padEnd(7)} ${payload}`, fields };
+        }
+
+        if (event.reason === 'bad start byte') {
+            this.skipped += event.bytes.length;
+        } else {
+            this.bad++;
+        }
+        const detail = event.detail ? ` (${event.detail})` : '';
+        return { kind: 'reject', text: `${time} ✖ ${event.reason}: ${payload}`, fields: detail.trim() };
+    }
+}
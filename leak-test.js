@@ -0,0 +1,173 @@
+/**
+ * LeakTest class
+ * Static pressure accuracy and leak test. The device inflates to a target
+ * and holds it (HOLD command); once the pressure has settled the cuff
+ * reading is collected over a measurement window and reduced to:
+ *   leak rate - pressure lost per minute, from a least-squares line
+ *   mean / std deviation of the static reading
+ *   error     - mean minus the reference manometer, when one was entered
+ * Each figure is checked against its limit.
+ */
+class LeakTest {
+    /**
+     * @param {Object} settings Overrides for LeakTest.defaults
+     */
+    constructor(settings = {}) {
+        this.settings = Object.assign({}, LeakTest.defaults, settings);
+        this.reset();
+    }
+
+    static get defaults() {
+        return {
+            target: 200, // mmHg
+            reachBand: 5, // mmHg below target that counts as reached
+            settleSeconds: 10, // s after reaching the target before measuring
+            windowSeconds: 60, // s measured
+            maxLeakRate: 6, // mmHg/min
+            maxStdDev: 1, // mmHg
+            reference: null, // mmHg, reference manometer during the window
+            maxError: 3 // mmHg, |mean - reference|
+        };
+    }
+
+    reset() {
+        this.phase = 'idle'; // idle | inflating | settling | measuring | complete
+        this.phaseStart = null;
+        this.startedAt = null;
+        this.time = [];
+        this.cuff = [];
+        this.report = null;
+    }
+
+    get isRunning() {
+        return this.phase === 'inflating' || this.phase === 'settling' || this.phase === 'measuring';
+    }
+
+    /**
+     * @param {Object} [settings] Overrides for this run
+     * @param {number} [time] ms
+     */
+    start(settings = {}, time = Date.now()) {
+        this.reset();
+        Object.assign(this.settings, settings);
+        this.startedAt = time;
+        this.setPhase('inflating', time);
+    }
+
+    setPhase(phase, time) {
+        this.phase = phase;
+        this.phaseStart = time;
+    }
+
+    /**
+     * Feed one cuff sample.
+     * @param {number} cuff mmHg
+     * @param {number} time ms
+     * @returns {Object|null} The report once the window is complete
+     */
+    add(cuff, time) {
+        const s = this.settings;
+        switch (this.phase) {
+            case 'inflating':
+                if (cuff >= s.target - s.reachBand) this.setPhase('settling', time);
+                break;
+            case 'settling':
+                if (time - this.phaseStart >= s.settleSeconds * 1000) this.setPhase('measuring', time);
+                break;
+            case 'measuring':
+                this.time.push(time);
+                this.cuff.push(cuff);
+                if (time - this.phaseStart >= s.windowSeconds * 1000) {
+                    this.report = this.evaluate();
+                    this.setPhase('complete', time);
+                    return this.report;
+                }
+                break;
+        }
+        return null;
+    }
+
+    /**
+     * Seconds left in the current phase (null while inflating).
+     * @param {number} [time] ms
+     */
+    remaining(time = Date.now()) {
+        const seconds = { settling: this.settings.settleSeconds, measuring: this.settings.windowSeconds }[this.phase];
+        if (seconds === undefined) return null;
+        return Math.max(0, seconds - (time - this.phaseStart) / 1000);
+    }
+
+    /**
+     * Reduce the measurement window to the report.
+     * @returns {Object}
+     */
+    evaluate() {
+        const s = this.settings;
+        const n = this.cuff.length;
+        const t0 = this.time[0];
+
+        let sum = 0;
+        for (const value of this.cuff) sum += value;
+        const mean = sum / n;
+
+        let variance = 0;
+        for (const value of this.cuff) variance += (value - mean) ** 2;
+        const stdDev = Math.sqrt(variance / n);
+
+        // Slope of the least-squares line, minutes on the x axis
+        let sxx = 0, sxy = 0;
+        const tMean = this.time.reduce((acc, t) => acc + (t - t0), 0) / n / 60000;
+        for (let i = 0; i < n; i++) {
+            const x = (this.time[i] - t0) / 60000 - tMean;
+            sxx += x * x;
+            sxy += x * (this.cuff[i] - mean);
+        }
+        const slope = sxx > 0 ? sxy / sxx : 0;
+        const leakRate = -slope; // Pressure lost per minute
+
+        const checks = [
+            LeakTest.check('Leak rate', leakRate, s.maxLeakRate, 'mmHg/min'),
+            LeakTest.check('Std deviation', stdDev, s.maxStdDev, 'mmHg')
+        ];
+        let error = null;
+        if (s.reference !== null) {
+            error = mean - s.reference;
+            checks.push(LeakTest.check('Error vs reference', Math.abs(error), s.maxError, 'mmHg'));
+        }
+
+        return {
+            startedAt: this.startedAt,
+            target: s.target,
+            settleSeconds: s.settleSeconds,
+            windowSeconds: (this.time[n - 1] - t0) / 1000,
+            samples: n,
+            leakRate,
+            mean,
+            stdDev,
+            reference: s.reference,
+            error,
+            checks,
+            pass: checks.every(c => c.pass)
+        };
+    }
+
+    static check(name, value, limit, unit) {
+        return { name, value, limit, unit, pass: value <= limit };
+    }
+
+    /**
+     * One-line summary for logs.
+     * @param {Object} report Result of evaluate()
+     */
+    static summary(report) {
+        const parts = [
+            `${report.pass ? 'PASS' : 'FAIL'}`,
+            `target=${report.target}`,
+            `leak=${report.leakRate.toFixed(2)}mmHg/min`,
+            `mean=${report.mean.toFixed(2)}`,
+            `sd=${report.stdDev.toFixed(2)}`
+        ];
+        if (report.error !== null) parts.push(`error=${report.error.toFixed(2)}`);
+        return parts.join(' ');
+    }
+}
@@ -0,0 +1,145 @@
+/**
+ * LinkStats class
+ * Connection health counters fed by the SerialManager scanner: valid
+ * frames, rejected frames, bytes skipped while resynchronising, buffer
+ * overflows, text lines that did not parse, the effective sample rate and gaps in the sample sequence.
+ * Sample frames with a sequence number (protocol v2) are checked by their
+ * numbers; the firmware's plain frames by timing: after a silence, the chunk
+ * that ends it should hold the samples the device produced meanwhile, and
+ * whatever is short of that was lost.
+ */
+class LinkStats {
+    constructor() {
+        this.reset();
+    }
+
+    static get COUNTERS() {
+        return ['validFrames', 'checksumFailures', 'lengthErrors', 'resyncBytes', 'overflows', 'overflowBytes', 'sequenceGaps', 'missingSamples', 'unparsedLines'];
+    }
+
+    /**
+     * Silences shorter than this (ms), or than ten sample intervals, are
+     * ordinary chunking of the stream.
+     */
+    static get STALL_MS() {
+        return 100;
+    }
+
+    reset() {
+        for (const name of LinkStats.COUNTERS) this[name] = 0;
+        this.sampleRate = 0; // Samples/s over the last full second
+        this.rateSince = null; // Start of the current one-second window
+        this.rateCount = 0;
+        this.recentRates = []; // Last few per-second rates; their maximum is the device's nominal rate
+        this.restart();
+    }
+
+    /**
+     * Forget the sequence and timing state, keeping the counters (the device
+     * reconnected and may have restarted its count).
+     */
+    restart() {
+        this.lastSeq = null;
+        this.chunkTime = null; // Arrival time of the latest samples
+        this.stall = null; // {expected, received} for the chunk that ends a silence
+    }
+
+    get nominalRate() {
+        return this.recentRates.length ? Math.max(...this.recentRates) : 0;
+    }
+
+    /**
+     * Count an accepted frame.
+     * @param {string} name Packet name
+     * @param {Object} values Decoded fields
+     * @param {number} [time] Arrival time (ms); the same for every sample of a chunk
+     */
+    frame(name, values, time = Date.now()) {
+        this.validFrames++;
+        if (name !== 'sample') return;
+
+        if (this.rateSince === null) this.rateSince = time;
+        this.rateCount++;
+        const elapsed = time - this.rateSince;
+        if (elapsed >= 1000) {
+            // A stall longer than two seconds is not a rate, start over
+            this.sampleRate = elapsed < 2000 ? Math.round(this.rateCount * 1000 / elapsed) : 0;
+            this.rateSince = time;
+            this.rateCount = 0;
+            if (this.sampleRate > 0) {
+                this.recentRates.push(this.sampleRate);
+                if (this.recentRates.length > 10) this.recentRates.shift();
+            }
+        }
+
+        if (values.seq === undefined) {
+            this.timeSample(time);
+        } else {
+            if (this.lastSeq !== null) {
+                const missing = (values.seq - this.lastSeq - 1) & 0xFFFF;
+                if (missing > 0) {
+                    this.sequenceGaps++;
+                    this.missingSamples += missing;
+                }
+            }
+            this.lastSeq = values.seq;
+        }
+    }
+
+    /**
+     * Timing check for samples without a sequence number.
+     * @param {number} time Arrival time (ms)
+     */
+    timeSample(time) {
+        if (time !== this.chunkTime) {
+            this.closeStall();
+            const rate = this.nominalRate;
+            if (this.chunkTime !== null && rate > 0) {
+                const silence = time - this.chunkTime;
+                if (silence > Math.max(LinkStats.STALL_MS, 10000 / rate)) {
+                    this.stall = { expected: Math.round(silence * rate / 1000), received: 0 };
+                }
+            }
+            this.chunkTime = time;
+        }
+        if (this.stall) this.stall.received++;
+    }
+
+    /**
+     * Count what the chunk after a silence was short of.
+     */
+    closeStall() {
+        const stall = this.stall;
+        this.stall = null;
+        if (!stall) return;
+        // Rate jitter: a sample or two either way is not a loss
+        const missing = stall.expected - stall.received;
+        if (missing > Math.max(1, stall.expected * 0.05)) {
+            this.sequenceGaps++;
+            this.missingSamples += missing;
+        }
+    }
+
+    /**
+     * Counter values, optionally relative to an earlier snapshot.
+     * @param {Object} [since] Result of a previous snapshot()
+     */
+    snapshot(since = null) {
+        const result = {};
+        for (const name of LinkStats.COUNTERS) {
+            result[name] = this[name] - (since ? since[name] : 0);
+        }
+        result.sampleRate = this.sampleRate;
+        return result;
+    }
+
+    /**
+     * One-line summary for logs.
+     * @param {Object} s Result of snapshot()
+     */
+    static summary(s) {
+        return `frames=${s.validFrames} checksum=${s.checksumFailures} length=${s.lengthErrors} ` +
+            `resync=${s.resyncBytes}B overflows=${s.overflows} gaps=${s.sequenceGaps} ` +
+            `missing=${s.missingSamples} unparsed=${s.unparsedLines} rate=${s.sampleRate}/s`;
+    }
+}
@@ -0,0 +1,281 @@
+/**
+ * Log writers
+ * Each writer turns log records into file bytes for one output format.
+ * Logger drives them through the same lifecycle:
+ *   header() -> sample()/event()/raw() ... -> footer() -> patches()
+ * Every hook returns a string, a Uint8Array or null (nothing to write).
+ */
+
+/**
+ * CSV with a `# key: value` metadata block above the column header.
+ * The replay loader skips the `#` lines, so these files still load.
+ */
+class CsvLogWriter {
+    static get info() {
+        return { label: 'CSV', description: 'CSV File', extension: '.csv', mimeType: 'text/csv' };
+    }
+
+    constructor(meta) {
+        this.meta = meta;
+    }
+
+    header() {
+        let text = '';
+        for (const [key, value] of Object.entries(this.meta)) {
+            text += `# ${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}\n`;
+        }
+        return text + 'Timestamp,CuffPressure,PulsePressure\n';
+    }
+
+    sample(s) {
+        return `${new Date(s.time).toISOString()},${s.cuff},${s.pulse}\n`;
+    }
+
+    event(e) {
+        return `# EVENT ${new Date(e.time).toISOString()} ${e.message}\n`;
+    }
+
+    raw() {
+        return null;
+    }
+
+    footer() {
+        return null;
+    }
+
+    patches() {
+        return [];
+    }
+}
+
+/**
+ * One JSON object per line: a meta record, then samples and events.
+ */
+class JsonLinesLogWriter {
+    static get info() {
+        return { label: 'JSON Lines', description: 'JSON Lines File', extension: '.jsonl', mimeType: 'application/jsonl' };
+    }
+
+    constructor(meta) {
+        this.meta = meta;
+    }
+
+    header() {
+        return JSON.stringify({ type: 'meta', ...this.meta }) + '\n';
+    }
+
+    sample(s) {
+        return JSON.stringify({ type: 'sample', t: new Date(s.time).toISOString(), cuff: s.cuff, pulse: s.pulse }) + '\n';
+    }
+
+    event(e) {
+        return JSON.stringify({ type: 'event', t: new Date(e.time).toISOString(), message: e.message }) + '\n';
+    }
+
+    raw() {
+        return null;
+    }
+
+    footer() {
+        return null;
+    }
+
+    patches() {
+        return [];
+    }
+}
+
+/**
+ * The exact bytes received from the port, nothing else.
+ */
+class RawLogWriter {
+    static get info() {
+        return { label: 'Raw Binary', description: 'Raw Capture', extension: '.bin', mimeType: 'application/octet-stream' };
+    }
+
+    constructor(meta) {
+        this.meta = meta;
+    }
+
+    header() {
+        return null;
+    }
+
+    sample() {
+        return null;
+    }
+
+    event() {
+        return null;
+    }
+
+    raw(bytes) {
+        return bytes;
+    }
+
+    footer() {
+        return null;
+    }
+
+    patches() {
+        return [];
+    }
+}
+
+/**
+ * EDF+ (continuous) with cuff, pulse and an annotation signal.
+ * Samples are packed into 1-second records at the nominal sample rate;
+ * the record count is patched into the header when the log is closed.
+ */
+class EdfLogWriter {
+    static get info() {
+        return { label: 'EDF+', description: 'European Data Format', extension: '.edf', mimeType: 'application/octet-stream' };
+    }
+
+    constructor(meta) {
+        this.meta = meta;
+        this.samplesPerRecord = Math.max(1, Math.round(meta.sampleRate || 100));
+        this.annotationBytes = 120; // Per record, room for time-keeping plus a few events
+        this.signals = [
+            { label: 'Cuff Pressure', dimension: 'mmHg', physMin: -50, physMax: 350 },
+            { label: 'Pulse Pressure', dimension: 'mmHg', physMin: -50, physMax: 50 },
+        ];
+
+        this.startTime = null;
+        this.recordCount = 0;
+        this.cuff = [];
+        this.pulse = [];
+        this.lastSample = null; // Held to pad the final records
+        this.pendingEvents = []; // Encoded TALs (UTF-8) waiting for room in a record
+        this.encoder = new TextEncoder();
+    }
+
+    static field(value, width) {
+        return String(value).slice(0, width).padEnd(width, ' ');
+    }
+
+    header() {
+        const start = new Date(this.meta.startedAt || Date.now());
+        this.startTime = start.getTime();
+        const f = EdfLogWriter.field;
+        const pad2 = n => String(n).padStart(2, '0');
+        const months = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+        const ns = this.signals.length + 1;
+
+        let h = '';
+        h += f('0', 8);
+        h += f('X X X X', 80); // EDF+ patient: code sex birthdate name (unknown)
+        h += f(`Startdate ${pad2(start.getDate())}-${months[start.getMonth()]}-${start.getFullYear()} X X iNIBP`, 80);
+        h += f(`${pad2(start.getDate())}.${pad2(start.getMonth() + 1)}.${pad2(start.getFullYear() % 100)}`, 8);
+        h += f(`${pad2(start.getHours())}.${pad2(start.getMinutes())}.${pad2(start.getSeconds())}`, 8);
+        h += f(256 * (ns + 1), 8);
+        h += f('EDF+C', 44);
+        h += f('-1', 8); // Number of records, patched on close
+        h += f('1', 8); // Record duration (s)
+        h += f(ns, 4);
+
+        const all = [...this.signals, { label: 'EDF Annotations', dimension: '', physMin: -1, physMax: 1 }];
+        const column = (fn, width) => all.map(sig => f(fn(sig), width)).join('');
+        h += column(s => s.label, 16);
+        h += column(() => '', 80); // Transducer
+        h += column(s => s.dimension, 8);
+        h += column(s => s.physMin, 8);
+        h += column(s => s.physMax, 8);
+        h += column(() => -32768, 8);
+        h += column(() => 32767, 8);
+        h += column(() => '', 80); // Prefiltering
+        h += all.map((s, i) => f(i < this.signals.length ? this.samplesPerRecord : this.annotationBytes / 2, 8)).join('');
+        h += column(() => '', 32);
+        return h;
+    }
+
+    sample(s) {
+        this.cuff.push(s.cuff);
+        this.pulse.push(s.pulse);
+        this.lastSample = s;
+        if (this.cuff.length < this.samplesPerRecord) return null;
+        return this.flushRecord();
+    }
+
+    event(e) {
+        const onset = Math.max(0, (e.time - this.startTime) / 1000);
+        const chars = Array.from(e.message.replace(/[\x00-\x1f]/g, ' '));
+        const encode = () => this.encoder.encode(`+${onset.toFixed(3)}\x14${chars.join('')}\x14\x00`);
+        // Shorten, a whole character at a time, what could never fit next to
+        // a record's time-keeping TAL
+        const room = this.annotationBytes - 16;
+        let tal = encode();
+        while (tal.length > room) {
+            chars.pop();
+            tal = encode();
+        }
+        this.pendingEvents.push(tal);
+        return null;
+    }
+
+    raw() {
+        return null;
+    }
+
+    footer() {
+        // EDF records are fixed size: hold the last value to fill the final
+        // one, and to add more while events are still waiting for room
+        const { cuff = 0, pulse = 0 } = this.lastSample || {};
+        const records = [];
+        while (this.cuff.length > 0 || this.pendingEvents.length > 0) {
+            while (this.cuff.length < this.samplesPerRecord) {
+                this.cuff.push(cuff);
+                this.pulse.push(pulse);
+            }
+            records.push(this.flushRecord());
+        }
+        if (records.length === 0) return null;
+
+        const bytes = new Uint8Array(records.length * records[0].length);
+        records.forEach((record, i) => bytes.set(record, i * record.length));
+        return bytes;
+    }
+
+    patches() {
+        return [{ position: 236, data: EdfLogWriter.field(this.recordCount, 8) }];
+    }
+
+    toDigital(value, sig) {
+        const scaled = (value - sig.physMin) / (sig.physMax - sig.physMin) * 65535 - 32768;
+        return Math.max(-32768, Math.min(32767, Math.round(scaled)));
+    }
+
+    flushRecord() {
+        const n = this.samplesPerRecord;
+        const record = new Uint8Array(n * 4 + this.annotationBytes);
+        const view = new DataView(record.buffer);
+
+        const cuff = this.cuff.splice(0, n);
+        const pulse = this.pulse.splice(0, n);
+        for (let i = 0; i < n; i++) {
+            view.setInt16(i * 2, this.toDigital(cuff[i], this.signals[0]), true);
+            view.setInt16((n + i) * 2, this.toDigital(pulse[i], this.signals[1]), true);
+        }
+
+        // Annotation signal: time-keeping TAL first, then as many events as fit
+        const annotations = record.subarray(n * 4);
+        const timeKeeping = this.encoder.encode(`+${this.recordCount}\x14\x14\x00`);
+        annotations.set(timeKeeping);
+        let length = timeKeeping.length;
+        while (this.pendingEvents.length && length + this.pendingEvents[0].length <= this.annotationBytes) {
+            const event = this.pendingEvents.shift();
+            annotations.set(event, length);
+            length += event.length;
+        }
+
+        this.recordCount++;
+        return record;
+    }
+}
+
+const LOG_FORMATS = {
+    csv: CsvLogWriter,
+    jsonl: JsonLinesLogWriter,
+    raw: RawLogWriter,
+    edf: EdfLogWriter,
+};
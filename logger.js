@@ -1,30 +1,40 @@
 /**
  * Logger class
  * Handles writing data streams to a local file using the File System Access API.
+ * The file format is delegated to a writer from LOG_FORMATS (log-writers.js).
  */
 class Logger {
     constructor() {
         this.fileHandle = null;
         this.writable = null;
+        this.writer = null;
+        this.format = 'csv';
         this.bytesWritten = 0;
         this.fileName = null;
+        this.encoder = new TextEncoder();
     }
 
     /**
      * Open a file picker to save a new file.
+     * @param {string} [format] Key of LOG_FORMATS
      * @returns {Promise<boolean>} Success status
      */
-    async selectFile() {
+    async selectFile(format = 'csv') {
+        const Writer = LOG_FORMATS[format];
+        if (!Writer) throw new Error(`Unknown log format: ${format}`);
+        const info = Writer.info;
+
         try {
             const options = {
-                suggestedName: `serial_log_${new Date().toISOString().replace(/[:.]/g, '-')}.csv`,
+                suggestedName: `serial_log_${new Date().toISOString().replace(/[:.]/g, '-')}${info.extension}`,
                 types: [{
-                    description: 'CSV File',
-                    accept: { 'text/csv': ['.csv'] },
+                    description: info.description,
+                    accept: { [info.mimeType]: [info.extension] },
                 }],
             };
             this.fileHandle = await window.showSaveFilePicker(options);
             this.fileName = this.fileHandle.name;
+            this.format = format;
             return true;
         } catch (error) {
             if (error.name !== 'AbortError') {
@@ -35,33 +45,68 @@ class Logger {
     }
 
     /**
-     * Start the write stream.
+     * Start the write stream and write the format's header.
+     * @param {Object} [meta] Session metadata for the header
      */
-    async start() {
+    async start(meta = {}) {
         if (!this.fileHandle) return false;
         this.writable = await this.fileHandle.createWritable();
+        this.writer = new LOG_FORMATS[this.format](meta);
         this.bytesWritten = 0;
+        await this.output(this.writer.header());
         return true;
     }
 
     /**
-     * Append text data to the file.
-     * @param {string} data 
+     * Append one record to the file.
+     * @param {Object} record {type: 'sample'|'event'|'raw', ...}
      */
-    async write(data) {
+    async write(record) {
         if (!this.writable) return;
-        await this.writable.write(data);
-        this.bytesWritten += data.length;
+        switch (record.type) {
+            case 'sample':
+                await this.output(this.writer.sample(record));
+                break;
+            case 'event':
+                await this.output(this.writer.event(record));
+                break;
+            case 'raw':
+                await this.output(this.writer.raw(record.bytes));
+                break;
+        }
+    }
+
+    /**
+     * Write formatter output (string or bytes) to the file.
+     * @param {string|Uint8Array|null} data
+     */
+    async output(data) {
+        if (data === null || data === undefined) return;
+        const bytes = typeof data === 'string' ? this.encoder.encode(data) : data;
+        this.bytesWritten += bytes.length;
+        await this.writable.write(bytes);
     }
 
     /**
-     * Close the file.
+     * Write the footer, apply header patches and close the file.
      */
     async stop() {
         if (this.writable) {
-            await this.writable.close();
-            this.writable = null;
+            const writable = this.writable;
+            this.writable = null; // Refuse further records while closing
+            const footer = this.writer.footer();
+            if (footer !== null) {
+                const bytes = typeof footer === 'string' ? this.encoder.encode(footer) : footer;
+                this.bytesWritten += bytes.length;
+                await writable.write(bytes);
+            }
+            for (const patch of this.writer.patches()) {
+                const data = typeof patch.data === 'string' ? this.encoder.encode(patch.data) : patch.data;
+                await writable.write({ type: 'write', position: patch.position, data });
+            }
+            await writable.close();
         }
+        this.writer = null;
         this.fileHandle = null;
         this.fileName = null;
     }
@@ -0,0 +1,219 @@
+/**
+ * OscillometricAnalyzer class
+ * Derives MAP, systolic and diastolic pressure from the oscillation envelope.
+ */
+class OscillometricAnalyzer {
+    constructor(options = {}) {
+        // Characteristic ratios (fraction of the maximum envelope amplitude)
+        this.systolicRatio = options.systolicRatio ?? 0.55;
+        this.diastolicRatio = options.diastolicRatio ?? 0.85;
+
+        // Peak detection hysteresis, as a fraction of the pulse signal range
+        this.hysteresis = options.hysteresis ?? 0.1;
+        // Number of envelope points averaged when smoothing
+        this.smoothing = options.smoothing ?? 3;
+        // Minimum oscillations needed for a trustworthy estimate
+        this.minPeaks = options.minPeaks ?? 5;
+    }
+
+    /**
+     * Run the full analysis over aligned cuff/pulse sample arrays.
+     * @param {number[]} cuffData
+     * @param {number[]} pulseData
+     * @returns {Object|null} Result, or null when there are too few oscillations
+     */
+    analyze(cuffData, pulseData) {
+        const peaks = this.detectPeaks(pulseData);
+        const envelope = this.buildEnvelope(peaks, cuffData);
+        const result = this.evaluate(envelope);
+        return result ? { ...result, peakCount: peaks.length } : null;
+    }
+
+    /**
+     * MAP, systolic and diastolic from a smoothed envelope in deflation order.
+     * @param {Array<{index: number, pressure: number, amplitude: number, smoothed: number}>} envelope
+     * @returns {Object|null} Result, or null when there are too few oscillations
+     */
+    evaluate(envelope) {
+        if (envelope.length < this.minPeaks) return null;
+
+        // MAP sits at the largest (smoothed) oscillation
+        let mapPos = 0;
+        for (let i = 1; i < envelope.length; i++) {
+            if (envelope[i].smoothed > envelope[mapPos].smoothed) mapPos = i;
+        }
+        const maxAmp = envelope[mapPos].smoothed;
+
+        // Deflation runs from high to low pressure, so systolic lies before MAP
+        // in time and diastolic after it.
+        const sys = this.findCrossing(envelope, mapPos, -1, maxAmp * this.systolicRatio);
+        const dia = this.findCrossing(envelope, mapPos, 1, maxAmp * this.diastolicRatio);
+
+        return {
+            map: envelope[mapPos].pressure,
+            mapIndex: envelope[mapPos].index,
+            sbp: sys ? sys.pressure : null,
+            sbpIndex: sys ? sys.index : -1,
+            dbp: dia ? dia.pressure : null,
+            dbpIndex: dia ? dia.index : -1,
+            maxAmplitude: maxAmp,
+            peakCount: envelope.length,
+            envelope
+        };
+    }
+
+    /**
+     * Detect oscillation peaks using a trough-to-peak hysteresis tracker.
+     * Gaps (null samples from a connection dropout) are skipped.
+     * @param {Array<number|null>} pulseData
+     * @returns {Array<{index: number, amplitude: number}>}
+     */
+    detectPeaks(pulseData) {
+        const peaks = [];
+        const first = pulseData.findIndex(v => v !== null);
+        if (first === -1 || pulseData.length - first < 3) return peaks;
+
+        let lo = Infinity;
+        let hi = -Infinity;
+        for (const v of pulseData) {
+            if (v === null) continue;
+            if (v < lo) lo = v;
+            if (v > hi) hi = v;
+        }
+        const band = (hi - lo) * this.hysteresis;
+        if (band <= 0) return peaks;
+
+        let rising = true;
+        let troughVal = pulseData[first];
+        let peakVal = pulseData[first];
+        let peakIdx = first;
+
+        for (let i = first + 1; i < pulseData.length; i++) {
+            const v = pulseData[i];
+            if (v === null) continue;
+            if (rising) {
+                if (v > peakVal) {
+                    peakVal = v;
+                    peakIdx = i;
+                } else if (v < peakVal - band) {
+                    // Dropped far enough below the running max: peak confirmed
+                    peaks.push({ index: peakIdx, amplitude: peakVal - troughVal });
+                    rising = false;
+                    troughVal = v;
+                }
+            } else if (v < troughVal) {
+                troughVal = v;
+            } else if (v > troughVal + band) {
+                rising = true;
+                peakVal = v;
+                peakIdx = i;
+            }
+        }
+        return peaks;
+    }
+
+    /**
+     * Pair each peak with its cuff pressure, keeping only the deflation phase.
+     * @param {Array<{index: number, amplitude: number}>} peaks
+     * @param {number[]} cuffData
+     */
+    buildEnvelope(peaks, cuffData) {
+        // Deflation starts at the highest cuff pressure
+        let topIdx = 0;
+        for (let i = 1; i < cuffData.length; i++) {
+            if (cuffData[i] > cuffData[topIdx]) topIdx = i;
+        }
+        // Still inflating (or flat): analyse everything we have
+        if (topIdx >= cuffData.length - 1) topIdx = 0;
+
+        const points = peaks
+            .filter(p => p.index >= topIdx)
+            .map(p => ({ index: p.index, pressure: cuffData[p.index], amplitude: p.amplitude }));
+        return this.smooth(points);
+    }
+
+    /**
+     * Centered moving average of the amplitudes (sets `smoothed` on each point)
+     * to suppress single-beat outliers.
+     * @param {Array<{amplitude: number}>} points
+     */
+    smooth(points) {
+        const half = Math.floor(this.smoothing / 2);
+        for (let i = 0; i < points.length; i++) {
+            let sum = 0;
+            let n = 0;
+            for (let j = Math.max(0, i - half); j <= Math.min(points.length - 1, i + half); j++) {
+                sum += points[j].amplitude;
+                n++;
+            }
+            points[i].smoothed = sum / n;
+        }
+        return points;
+    }
+
+    /**
+     * Walk away from MAP until the envelope drops below the target amplitude,
+     * then interpolate the pressure at the crossing.
+     * @param {Array} envelope
+     * @param {number} start MAP position in the envelope
+     * @param {number} step -1 towards systolic, +1 towards diastolic
+     * @param {number} target Amplitude threshold
+     */
+    findCrossing(envelope, start, step, target) {
+        for (let i = start + step; i >= 0 && i < envelope.length; i += step) {
+            const cur = envelope[i];
+            if (cur.smoothed <= target) {
+                const prev = envelope[i - step];
+                const span = prev.smoothed - cur.smoothed;
+                const t = span > 0 ? (prev.smoothed - target) / span : 0;
+                return {
+                    pressure: prev.pressure + (cur.pressure - prev.pressure) * t,
+                    index: t < 0.5 ? prev.index : cur.index
+                };
+            }
+        }
+        return null;
+    }
+}
+
+/**
+ * LiveEnvelope class
+ * Collects beat amplitudes against cuff pressure while the cuff deflates,
+ * so the envelope can be drawn and evaluated beat by beat. Collection
+ * stops once the cuff is down to the end pressure, as in DeflationAnalyzer,
+ * until the envelope is reset for the next run.
+ */
+class LiveEnvelope {
+    constructor(options = {}) {
+        // Deflation starts this far below the highest pressure seen and ends below endPressure (mmHg)
+        this.startDrop = options.startDrop ?? 5;
+        this.endPressure = options.endPressure ?? 30;
+        this.reset();
+    }
+
+    reset() {
+        this.peak = -Infinity;
+        this.done = false;
+        this.points = []; // [{index, pressure, amplitude}] in deflation order, index = beat time
+    }
+
+    /**
+     * Feed every sample; beats only count once the cuff is deflating.
+     * @param {number} cuff mmHg
+     * @param {Object|null} beat From BeatDetector.process(), given the cuff so the
+     *   point takes the pressure at the beat's peak rather than at its confirmation
+     * @returns {boolean} true when a point was added
+     */
+    add(cuff, beat) {
+        if (this.done) return false;
+        this.peak = Math.max(this.peak, cuff);
+        const deflating = cuff <= this.peak - this.startDrop;
+        if (deflating && cuff < this.endPressure && this.peak > this.endPressure) {
+            this.done = true;
+            return false;
+        }
+        if (!beat || !deflating) return false;
+        this.points.push({ index: beat.time, pressure: beat.cuff ?? cuff, amplitude: beat.amplitude });
+        return true;
+    }
+}
@@ -0,0 +1,145 @@
+/**
+ * SignalPipeline class
+ * The per-sample analysis, run a batch at a time: calibration, the
+ * FilterChain, the deflation analysis of LINEAR runs, beat detection and the
+ * live amplitude envelope. The decode worker runs one on the live stream
+ * (the main thread does when no worker is available); replays get their own.
+ * The settings and resets are plain method calls with JSON arguments, so
+ * SerialManager can forward them to the worker by name.
+ */
+class SignalPipeline {
+    constructor() {
+        this.calibration = null;
+        this.filterChain = new FilterChain();
+        this.deflation = new DeflationAnalyzer();
+        this.beatDetector = new BeatDetector();
+        this.envelope = new LiveEnvelope();
+    }
+
+    /**
+     * @param {Object|null} profile Calibration.toJSON(), null for raw readings
+     */
+    setCalibration(profile) {
+        this.calibration = profile ? new Calibration(profile) : null;
+    }
+
+    /**
+     * @param {Object} settings FilterChain settings
+     */
+    setFilters(settings) {
+        this.filterChain = new FilterChain(settings);
+    }
+
+    resetFilters() {
+        this.filterChain.reset();
+    }
+
+    /**
+     * Arm the deflation analysis for a LINEAR run.
+     * @param {{targetRate: number, tolerance: number}} band
+     */
+    beginDeflation(band) {
+        this.deflation.begin();
+        Object.assign(this.deflation, band);
+    }
+
+    setDeflationBand(band) {
+        Object.assign(this.deflation, band);
+    }
+
+    resetDeflation() {
+        this.deflation.reset();
+    }
+
+    /**
+     * Stop a deflation analysis that is still running.
+     * @returns {Object|null} DeflationAnalyzer.finish(), null when none was running
+     */
+    finishDeflation() {
+        return this.deflation.isActive ? this.deflation.finish() : null;
+    }
+
+    resetBeats() {
+        this.beatDetector.reset();
+    }
+
+    resetEnvelope() {
+        this.envelope.reset();
+    }
+
+    /**
+     * A stretch without data: beat intervals, rates and filter state across
+     * it would be meaningless.
+     */
+    interruptAnalysis() {
+        this.beatDetector.reset();
+        this.deflation.interrupt();
+        this.filterChain.reset();
+    }
+
+    /**
+     * Analyse a batch of readings.
+     * @param {Array<{time: number, cuff: number, pulse: number}>} samples Raw readings, in order
+     * @returns {Object} Columns of n values: time, rawCuff, cuff (calibrated),
+     *   pulse, oscillation (filtered), rate (mmHg/s, NaN when there is none)
+     *   and inBand (1/0); plus
+     *   events    [{index, type: 'beat'|'step', lag}] in sample order, lag
+     *             counted back from sample `index`
+     *   heartRate BeatDetector.getStats() after the last beat, null without beats
+     *   envelope  LiveEnvelope points added
+     *   deflation DeflationAnalyzer.finish() when the deflation ended, else null
+     */
+    process(samples) {
+        const n = samples.length;
+        const batch = {
+            time: new Float64Array(n),
+            rawCuff: new Float64Array(n),
+            cuff: new Float64Array(n),
+            pulse: new Float64Array(n),
+            oscillation: new Float64Array(n),
+            rate: new Float64Array(n),
+            inBand: new Uint8Array(n),
+            events: [],
+            heartRate: null,
+            envelope: [],
+            deflation: null
+        };
+
+        for (let i = 0; i < n; i++) {
+            const { time, cuff: raw, pulse } = samples[i];
+            const cuff = this.calibration ? this.calibration.apply(raw) : raw;
+            batch.time[i] = time;
+            batch.rawCuff[i] = raw;
+            batch.cuff[i] = cuff;
+            batch.pulse[i] = pulse;
+
+            // Charts, beats and Find Max see the filtered signal, recordings the raw one
+            const oscillation = this.filterChain.process(cuff, pulse);
+            batch.oscillation[i] = oscillation;
+
+            const deflating = this.deflation.isActive ? this.deflation.process(cuff, time) : null;
+            batch.rate[i] = deflating && deflating.rate !== null ? deflating.rate : NaN;
+            batch.inBand[i] = !deflating || deflating.inBand ? 1 : 0;
+            if (deflating && deflating.step) batch.events.push({ index: i, type: 'step', lag: deflating.step.lag });
+
+            const beat = this.beatDetector.process(oscillation, time, cuff);
+            if (beat) {
+                batch.events.push({ index: i, type: 'beat', lag: beat.lag });
+                batch.heartRate = this.beatDetector.getStats();
+            }
+            if (this.envelope.add(cuff, beat)) {
+                batch.envelope.push(this.envelope.points[this.envelope.points.length - 1]);
+            }
+
+            if (deflating && deflating.done) batch.deflation = this.deflation.finish();
+        }
+        return batch;
+    }
+
+    /**
+     * Buffers of a batch's columns, for postMessage() transfer lists.
+     */
+    static transferables(batch) {
+        return ['time', 'rawCuff', 'cuff', 'pulse', 'oscillation', 'rate', 'inBand'].map(name => batch[name].buffer);
+    }
+}
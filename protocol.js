@@ -0,0 +1,295 @@
+/**
+ * PacketRegistry class
+ * Declarative frame layouts for the 0xAA binary protocol.
+ *
+ * Every frame on the wire is: Start(0xAA) | Len | Payload(Len bytes) | Checksum
+ * where Checksum is the XOR of all preceding bytes of the frame.
+ *
+ * A definition is matched either by its length byte (the legacy sample frame,
+ * whose payload is all fields) or by a type byte that leads the payload.
+ */
+const PROTOCOL_VERSION = 2;
+
+// Device state codes carried by the status frame
+const DEVICE_STATES = {
+    0: { key: 'idle', label: 'Idle' },
+    1: { key: 'inflating', label: 'Inflating' },
+    2: { key: 'deflating', label: 'Deflating' },
+    3: { key: 'complete', label: 'Complete' },
+    4: { key: 'aborted', label: 'Aborted' },
+    5: { key: 'holding', label: 'Holding' },
+};
+
+// Fault codes carried by the error frame
+const DEVICE_ERRORS = {
+    1: { key: 'over-pressure', label: 'Over-pressure' },
+    2: { key: 'leak', label: 'Leak detected' },
+};
+
+const FIELD_TYPES = {
+    int8: { size: 1, get: 'getInt8', set: 'setInt8' },
+    uint8: { size: 1, get: 'getUint8', set: 'setUint8' },
+    int16: { size: 2, get: 'getInt16', set: 'setInt16' },
+    uint16: { size: 2, get: 'getUint16', set: 'setUint16' },
+    int32: { size: 4, get: 'getInt32', set: 'setInt32' },
+    uint32: { size: 4, get: 'getUint32', set: 'setUint32' },
+    float32: { size: 4, get: 'getFloat32', set: 'setFloat32' },
+};
+
+class PacketRegistry {
+    constructor(version = PROTOCOL_VERSION) {
+        this.version = version; // Highest definition version accepted by lookup()
+        this.byLength = new Map(); // len -> [definitions]
+        this.byType = new Map(); // type byte -> [definitions]
+        this.byName = new Map(); // name -> definition (latest registered version)
+    }
+
+    static get START_BYTE() {
+        return 0xAA;
+    }
+
+    /**
+     * Registry with the frames every firmware speaks.
+     */
+    static createDefault() {
+        const registry = new PacketRegistry();
+        // Start(0xAA) | Len(8) | Cuff(4) | Pulse(4) | Checksum
+        registry.register({
+            name: 'sample',
+            length: 8,
+            fields: [
+                { name: 'cuff', type: 'int32', scale: 100 },
+                { name: 'pulse', type: 'int32', scale: 100 },
+            ],
+        });
+        // v2 numbers the samples so dropped frames show up as sequence gaps.
+        // Proposed layout: the current firmware still sends the length-8 frame.
+        // Start(0xAA) | Len(10) | Seq(2) | Cuff(4) | Pulse(4) | Checksum
+        registry.register({
+            name: 'sample',
+            length: 10,
+            version: 2,
+            fields: [
+                { name: 'seq', type: 'uint16' },
+                { name: 'cuff', type: 'int32', scale: 100 },
+                { name: 'pulse', type: 'int32', scale: 100 },
+            ],
+        });
+        // Start(0xAA) | Len(2) | Type(0x01) | State(1) | Checksum
+        registry.register({
+            name: 'status',
+            type: 0x01,
+            fields: [{ name: 'state', type: 'uint8' }],
+        });
+        // Start(0xAA) | Len(2) | Type(0x02) | Code(1) | Checksum
+        registry.register({
+            name: 'error',
+            type: 0x02,
+            fields: [{ name: 'code', type: 'uint8' }],
+        });
+        // Host -> device. Start(0xAA) | Len(3) | Type(0x10) | Seq(1) | Command(1) | Checksum
+        registry.register({
+            name: 'command',
+            type: 0x10,
+            fields: [
+                { name: 'seq', type: 'uint8' },
+                { name: 'command', type: 'uint8' },
+            ],
+        });
+        // Host -> device, for commands that take a value (e.g. the HOLD target in mmHg).
+        // Start(0xAA) | Len(5) | Type(0x12) | Seq(1) | Command(1) | Value(2) | Checksum
+        registry.register({
+            name: 'command-arg',
+            type: 0x12,
+            fields: [
+                { name: 'seq', type: 'uint8' },
+                { name: 'command', type: 'uint8' },
+                { name: 'value', type: 'uint16' },
+            ],
+        });
+        // Start(0xAA) | Len(4) | Type(0x11) | Seq(1) | Command(1) | Result(1) | Checksum
+        // Result 0 means accepted; anything else is a rejection code.
+        registry.register({
+            name: 'ack',
+            type: 0x11,
+            fields: [
+                { name: 'seq', type: 'uint8' },
+                { name: 'command', type: 'uint8' },
+                { name: 'result', type: 'uint8' },
+            ],
+        });
+        return registry;
+    }
+
+    /**
+     * Add a frame definition.
+     * @param {Object} def
+     * @param {string} def.name Event name the decoded packet is emitted under
+     * @param {number} [def.type] Type byte (first payload byte)
+     * @param {number} [def.length] Length byte, for frames without a type byte
+     * @param {Array<{name: string, type: string, scale?: number}>} def.fields Payload layout
+     * @param {boolean} [def.littleEndian=true]
+     * @param {number} [def.version=1] Protocol version that introduced this layout
+     */
+    register(def) {
+        const hasType = def.type !== undefined;
+        if (hasType === (def.length !== undefined)) {
+            throw new Error(`Packet "${def.name}": specify exactly one of type or length`);
+        }
+
+        let payloadLength = hasType ? 1 : 0;
+        for (const field of def.fields) {
+            const spec = FIELD_TYPES[field.type];
+            if (!spec) throw new Error(`Packet "${def.name}": unknown field type ${field.type}`);
+            payloadLength += spec.size;
+        }
+        if (!hasType && payloadLength !== def.length) {
+            throw new Error(`Packet "${def.name}": fields are ${payloadLength} bytes, length says ${def.length}`);
+        }
+        if (payloadLength > 255) {
+            throw new Error(`Packet "${def.name}": payload exceeds 255 bytes`);
+        }
+
+        const entry = {
+            littleEndian: true,
+            version: 1,
+            ...def,
+            payloadLength,
+        };
+
+        // A length-keyed frame claims its length byte outright; typed frames must avoid it
+        if (hasType && this.byLength.has(payloadLength)) {
+            throw new Error(`Packet "${def.name}": length ${payloadLength} is reserved by a length-keyed frame`);
+        }
+
+        const map = hasType ? this.byType : this.byLength;
+        const key = hasType ? def.type : def.length;
+        const list = map.get(key) || [];
+        if (list.some(d => d.version === entry.version)) {
+            throw new Error(`Packet "${def.name}": key ${key} v${entry.version} already registered`);
+        }
+        list.push(entry);
+        list.sort((a, b) => b.version - a.version);
+        map.set(key, list);
+
+        this.byName.set(def.name, entry);
+        return entry;
+    }
+
+    /**
+     * Pick the newest definition that the active protocol version allows.
+     * @param {Array} list
+     */
+    pickVersion(list) {
+        if (!list) return null;
+        return list.find(d => d.version <= this.version) || null;
+    }
+
+    /**
+     * Is there any definition for this length byte?
+     * Lets the scanner reject impossible frames without waiting for more bytes.
+     * @param {number} len
+     */
+    hasLength(len) {
+        if (this.byLength.has(len)) return true;
+        for (const list of this.byType.values()) {
+            if (list.some(d => d.payloadLength === len)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Find the definition for a frame header.
+     * @param {number} len Length byte
+     * @param {number} [typeByte] First payload byte, if already received
+     */
+    lookup(len, typeByte) {
+        const byLen = this.pickVersion(this.byLength.get(len));
+        if (byLen) return byLen;
+        if (typeByte === undefined) return null;
+
+        const byType = this.pickVersion(this.byType.get(typeByte));
+        return byType && byType.payloadLength === len ? byType : null;
+    }
+
+    /**
+     * Decode a frame's payload into a plain object.
+     * @param {Object} def Definition from lookup()
+     * @param {Uint8Array} bytes Buffer holding the frame
+     * @param {number} frameStart Index of the start byte
+     */
+    decode(def, bytes, frameStart) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset + frameStart + 2, def.payloadLength);
+        let offset = def.type !== undefined ? 1 : 0;
+        const values = {};
+        for (const field of def.fields) {
+            const spec = FIELD_TYPES[field.type];
+            const raw = view[spec.get](offset, def.littleEndian);
+            values[field.name] = field.scale ? raw / field.scale : raw;
+            offset += spec.size;
+        }
+        return values;
+    }
+
+    /**
+     * Newest definition of a packet up to a protocol version.
+     * @param {string} name Registered packet name
+     * @param {number} version
+     */
+    definition(name, version) {
+        let best = null;
+        for (const map of [this.byLength, this.byType]) {
+            for (const list of map.values()) {
+                for (const d of list) {
+                    if (d.name === name && d.version <= version && (!best || d.version > best.version)) best = d;
+                }
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Build a complete frame (start byte to checksum).
+     * @param {string} name Registered packet name
+     * @param {Object} values Field values in engineering units
+     * @param {number} [version] Protocol version to encode for; the latest layout by default
+     * @returns {Uint8Array}
+     */
+    encode(name, values, version) {
+        const def = version === undefined ? this.byName.get(name) : this.definition(name, version);
+        if (!def) throw new Error(`Unknown packet "${name}"`);
+
+        const frame = new Uint8Array(def.payloadLength + 3);
+        const view = new DataView(frame.buffer, 2, def.payloadLength);
+        frame[0] = PacketRegistry.START_BYTE;
+        frame[1] = def.payloadLength;
+
+        let offset = 0;
+        if (def.type !== undefined) {
+            view.setUint8(0, def.type);
+            offset = 1;
+        }
+        for (const field of def.fields) {
+            const spec = FIELD_TYPES[field.type];
+            let raw = values[field.name] ?? 0;
+            if (field.scale) raw *= field.scale;
+            if (field.type !== 'float32') raw = Math.round(raw);
+            view[spec.set](offset, raw, def.littleEndian);
+            offset += spec.size;
+        }
+
+        frame[frame.length - 1] = PacketRegistry.checksum(frame, 0, frame.length - 1);
+        return frame;
+    }
+
+    /**
+     * XOR of bytes[start..end).
+     */
+    static checksum(bytes, start, end) {
+        let checksum = 0;
+        for (let i = start; i < end; i++) {
+            checksum ^= bytes[i];
+        }
+        return checksum;
+    }
+}
@@ -0,0 +1,165 @@
+/**
+ * RecordingPlayer class
+ * Replays CSV recordings written by Logger, sample by sample, on the recorded timeline.
+ */
+class RecordingPlayer {
+    constructor() {
+        this.samples = [];
+        this.fileName = null;
+        this.cursor = 0; // Next sample to emit
+        this.position = 0; // Playback clock (ms from first sample)
+        this.speed = 1;
+        this.isPlaying = false;
+        this.timer = null;
+        this.lastTick = 0;
+
+        this.onSamplesCallback = null; // Every sample due at a tick, as one array
+        this.onProgressCallback = null;
+        this.onEndCallback = null;
+    }
+
+    /**
+     * Read and parse a recording file.
+     * @param {File} file
+     * @returns {Promise<number>} Number of samples loaded
+     */
+    async load(file) {
+        const text = await file.text();
+        return this.loadSamples(RecordingPlayer.parseCsv(text), file.name);
+    }
+
+    /**
+     * Load samples that are already in memory (e.g. a stored session).
+     * @param {Array<{time: number, cuff: number, pulse: number}>} samples
+     * @param {string} name Shown as the file name
+     * @returns {number} Number of samples loaded
+     */
+    loadSamples(samples, name) {
+        this.stop();
+        if (samples.length === 0) {
+            throw new Error('No samples found in recording');
+        }
+        this.samples = samples;
+        this.fileName = name;
+        this.cursor = 0;
+        this.position = 0;
+        return this.samples.length;
+    }
+
+    /**
+     * Parse `Timestamp,CuffPressure,PulsePressure` rows.
+     * Header, comment (#) and malformed lines are skipped.
+     * @param {string} text
+     * @returns {Array<{time: number, cuff: number, pulse: number}>}
+     */
+    static parseCsv(text) {
+        const samples = [];
+        for (const line of text.split(/\r?\n/)) {
+            if (!line || line.startsWith('#')) continue;
+            const cols = line.split(',');
+            if (cols.length < 3) continue;
+
+            const time = Date.parse(cols[0]);
+            const cuff = parseFloat(cols[1]);
+            const pulse = parseFloat(cols[2]);
+            if (isNaN(time) || isNaN(cuff) || isNaN(pulse)) continue;
+
+            samples.push({ time, cuff, pulse });
+        }
+        return samples;
+    }
+
+    /**
+     * Total recording length in ms.
+     */
+    get duration() {
+        if (this.samples.length === 0) return 0;
+        return this.samples[this.samples.length - 1].time - this.samples[0].time;
+    }
+
+    get isLoaded() {
+        return this.samples.length > 0;
+    }
+
+    play() {
+        if (!this.isLoaded || this.isPlaying) return;
+        if (this.cursor >= this.samples.length) this.seek(0);
+
+        this.isPlaying = true;
+        this.lastTick = performance.now();
+        this.timer = setInterval(() => this.tick(), 20);
+    }
+
+    pause() {
+        this.isPlaying = false;
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Pause and forget the loaded recording.
+     */
+    stop() {
+        this.pause();
+        this.samples = [];
+        this.fileName = null;
+        this.cursor = 0;
+        this.position = 0;
+    }
+
+    /**
+     * @param {number} speed Playback rate (1 = real time)
+     */
+    setSpeed(speed) {
+        this.speed = speed > 0 ? speed : 1;
+    }
+
+    /**
+     * Jump to a point in the recording without emitting the skipped samples.
+     * @param {number} ms Offset from the first sample
+     */
+    seek(ms) {
+        if (!this.isLoaded) return;
+        this.position = Math.max(0, Math.min(ms, this.duration));
+
+        const target = this.samples[0].time + this.position;
+        let lo = 0;
+        let hi = this.samples.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (this.samples[mid].time < target) lo = mid + 1;
+            else hi = mid;
+        }
+        this.cursor = lo;
+        this.lastTick = performance.now();
+        if (this.onProgressCallback) this.onProgressCallback(this.position, this.duration);
+    }
+
+    /**
+     * Advance the playback clock and emit every sample that is now due.
+     */
+    tick() {
+        const now = performance.now();
+        this.position += (now - this.lastTick) * this.speed;
+        this.lastTick = now;
+
+        const due = this.samples[0].time + this.position;
+        const from = this.cursor;
+        while (this.cursor < this.samples.length && this.samples[this.cursor].time <= due) {
+            this.cursor++;
+        }
+        if (this.cursor > from && this.onSamplesCallback) {
+            this.onSamplesCallback(this.samples.slice(from, this.cursor));
+        }
+
+        this.position = Math.min(this.position, this.duration);
+        if (this.onProgressCallback) this.onProgressCallback(this.position, this.duration);
+
+        if (this.cursor >= this.samples.length) {
+            this.pause();
+            if (this.onEndCallback) this.onEndCallback();
+        }
+    }
+}
@@ -0,0 +1,124 @@
+/**
+ * SafetyMonitor class
+ * Watches the cuff pressure for over-pressure, excessive time under
+ * pressure and stalled deflation. Defaults follow the usual NIBP limits
+ * (300 mmHg maximum, no more than 180 s above 15 mmHg).
+ */
+class SafetyMonitor {
+    constructor(options = {}) {
+        this.limits = Object.assign({}, SafetyMonitor.defaults, options);
+        this.deviceState = null;
+        this.runMode = null;
+        this.reset();
+    }
+
+    static get defaults() {
+        return {
+            maxPressure: 300, // mmHg
+            dwellLevel: 15, // mmHg
+            maxDwellSeconds: 180, // s above dwellLevel
+            minDeflationRate: 0.5, // mmHg/s while deflating
+            deflationWindowSeconds: 5 // s averaged for the rate check
+        };
+    }
+
+    /**
+     * Clear the latched alarm and all tracking state.
+     */
+    reset() {
+        this.tripped = null;
+        this.aboveSince = null;
+        this.peak = 0;
+        this.history = []; // [{time, cuff}] over the deflation window
+    }
+
+    /**
+     * Device state reported by status frames, if the firmware sends them.
+     * @param {string|null} key DEVICE_STATES key (null when unknown)
+     */
+    setDeviceState(key) {
+        this.deviceState = key;
+        if (key === 'inflating') {
+            // New cycle: the previous peak no longer applies
+            this.peak = 0;
+            this.history = [];
+        }
+    }
+
+    /**
+     * The run the app started, for firmware without status frames.
+     * @param {string|null} mode 'START' | 'LINEAR' | 'STATIC' (null when none)
+     */
+    setRunMode(mode) {
+        this.runMode = mode;
+    }
+
+    /**
+     * Check one cuff sample against the limits.
+     * @param {number} cuff mmHg
+     * @param {number} time ms
+     * @returns {Object|null} Violation {type, message, time, cuff}, reported once until reset()
+     */
+    check(cuff, time) {
+        if (this.tripped) return null;
+        const l = this.limits;
+
+        // 1. Absolute over-pressure
+        if (cuff > l.maxPressure) {
+            return this.trip('over-pressure', `Cuff pressure ${cuff.toFixed(1)} mmHg exceeds ${l.maxPressure} mmHg`, time, cuff);
+        }
+
+        // 2. Time above the dwell level
+        if (cuff > l.dwellLevel) {
+            if (this.aboveSince === null) this.aboveSince = time;
+            const seconds = (time - this.aboveSince) / 1000;
+            if (seconds > l.maxDwellSeconds) {
+                return this.trip('dwell', `Cuff above ${l.dwellLevel} mmHg for more than ${l.maxDwellSeconds} s`, time, cuff);
+            }
+        } else {
+            // Back near zero: the cycle is over
+            this.aboveSince = null;
+            this.peak = 0;
+        }
+
+        // 3. Stalled deflation
+        this.peak = Math.max(this.peak, cuff);
+        if (this.isDeflating(cuff) && cuff > l.dwellLevel) {
+            this.history.push({ time, cuff });
+            const windowMs = l.deflationWindowSeconds * 1000;
+            while (this.history.length > 1 && time - this.history[0].time > windowMs) {
+                this.history.shift();
+            }
+
+            const first = this.history[0];
+            const span = (time - first.time) / 1000;
+            if (span >= l.deflationWindowSeconds * 0.9) {
+                const rate = (first.cuff - cuff) / span;
+                if (rate < l.minDeflationRate) {
+                    return this.trip('deflation', `Deflation stalled at ${rate.toFixed(2)} mmHg/s (minimum ${l.minDeflationRate} mmHg/s)`, time, cuff);
+                }
+            }
+        } else {
+            this.history = [];
+        }
+
+        return null;
+    }
+
+    /**
+     * Use the device's own state when available, otherwise infer
+     * deflation from the pressure having dropped off its peak, but only in
+     * a run that deflates: a STATIC hold leaking off its peak is what a
+     * leak test measures, not a stalled deflation.
+     */
+    isDeflating(cuff) {
+        if (this.deviceState !== null) return this.deviceState === 'deflating';
+        if (this.runMode !== 'START' && this.runMode !== 'LINEAR') return false;
+        return this.peak - cuff > 5;
+    }
+
+    trip(type, message, time, cuff) {
+        this.tripped = { type, message, time, cuff };
+        return this.tripped;
+    }
+}
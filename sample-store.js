@@ -0,0 +1,171 @@
+/**
+ * SampleStore class
+ * Every plotted sample of a run, kept in growable typed arrays: one time
+ * column (s) and one column per named channel. Missing values and gaps are
+ * NaN. Charts draw a min/max-decimated view of the part on screen, so the
+ * store never has to drop old samples; analysis reads whole columns.
+ */
+class SampleStore {
+    /**
+     * @param {string[]} channels Channel names
+     * @param {number} [capacity] Initial rows
+     */
+    constructor(channels, capacity = 8192) {
+        this.names = channels;
+        this.capacity = capacity;
+        this.clear();
+    }
+
+    clear() {
+        this.length = 0;
+        this.time = new Float64Array(this.capacity);
+        this.channels = {};
+        for (const name of this.names) this.channels[name] = new Float32Array(this.capacity);
+    }
+
+    grow() {
+        const capacity = this.time.length * 2;
+        const time = new Float64Array(capacity);
+        time.set(this.time);
+        this.time = time;
+        for (const name of this.names) {
+            const column = new Float32Array(capacity);
+            column.set(this.channels[name]);
+            this.channels[name] = column;
+        }
+    }
+
+    /**
+     * Append one row.
+     * @param {number} time s, not decreasing
+     * @param {Object<string, number|null>} values Channels left out (or null) are NaN
+     * @returns {number} Row index
+     */
+    push(time, values) {
+        if (this.length === this.time.length) this.grow();
+        const i = this.length++;
+        this.time[i] = time;
+        for (const name of this.names) {
+            const value = values[name];
+            this.channels[name][i] = value === null || value === undefined ? NaN : value;
+        }
+        return i;
+    }
+
+    /**
+     * Append a row of NaN: lines break there.
+     */
+    pushGap(time) {
+        return this.push(time, {});
+    }
+
+    set(name, index, value) {
+        this.channels[name][index] = value === null ? NaN : value;
+    }
+
+    get(name, index) {
+        const value = this.channels[name][index];
+        return Number.isNaN(value) ? null : value;
+    }
+
+    /**
+     * Whole column as a plain array, null for NaN (the form the analyzers take).
+     */
+    values(name) {
+        return Array.from(this.channels[name].subarray(0, this.length), v => (Number.isNaN(v) ? null : v));
+    }
+
+    /**
+     * First and last time, or null when empty.
+     */
+    extent() {
+        if (this.length === 0) return null;
+        return { min: this.time[0], max: this.time[this.length - 1] };
+    }
+
+    /**
+     * Index of the first row at or after `time` (length if none).
+     */
+    indexAt(time) {
+        let lo = 0;
+        let hi = this.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (this.time[mid] < time) lo = mid + 1;
+            else hi = mid;
+        }
+        return lo;
+    }
+
+    /**
+     * Linearly interpolated channel value at `time`.
+     * @returns {number|null} null outside the data or next to a gap
+     */
+    valueAt(name, time) {
+        if (this.length === 0 || time < this.time[0] || time > this.time[this.length - 1]) return null;
+        const hi = Math.max(1, this.indexAt(time));
+        if (hi >= this.length) return this.get(name, this.length - 1);
+        const lo = hi - 1;
+        const p = this.get(name, lo);
+        const q = this.get(name, hi);
+        if (p === null || q === null) return null;
+        const t0 = this.time[lo];
+        const t1 = this.time[hi];
+        return t1 === t0 ? p : p + (q - p) * (time - t0) / (t1 - t0);
+    }
+
+    /**
+     * Chart points for a time range, at most about two per bucket: each
+     * bucket (one pixel column) keeps its minimum and maximum, plus a null
+     * point where it holds a NaN so gaps survive. Short ranges come back
+     * sample for sample. One row either side is included so lines reach the
+     * edges of the chart.
+     * @param {string} name Channel
+     * @param {number} min s
+     * @param {number} max s
+     * @param {number} buckets Usually the chart width in pixels
+     * @returns {Array<{x: number, y: number|null}>}
+     */
+    decimate(name, min, max, buckets) {
+        const column = this.channels[name];
+        const time = this.time;
+        const from = Math.max(0, this.indexAt(min) - 1);
+        const to = Math.min(this.length, this.indexAt(max) + 1);
+        const point = i => ({ x: time[i], y: Number.isNaN(column[i]) ? null : column[i] });
+        const points = [];
+
+        if (to - from <= buckets * 2) {
+            for (let i = from; i < to; i++) points.push(point(i));
+            return points;
+        }
+
+        const t0 = time[from];
+        const width = (time[to - 1] - t0) / buckets || 1;
+        let bucket = -1;
+        let lo = -1, hi = -1, gap = -1;
+        const flush = () => {
+            const picks = [lo, hi, gap].filter(i => i >= 0).sort((a, b) => a - b);
+            picks.forEach((i, k) => {
+                if (i !== picks[k - 1]) points.push(point(i));
+            });
+        };
+
+        for (let i = from; i < to; i++) {
+            const b = Math.min(buckets - 1, Math.floor((time[i] - t0) / width));
+            if (b !== bucket) {
+                flush();
+                bucket = b;
+                lo = hi = gap = -1;
+            }
+            const v = column[i];
+            if (Number.isNaN(v)) {
+                if (gap < 0) gap = i;
+            } else {
+                if (lo < 0 || v < column[lo]) lo = i;
+                if (hi < 0 || v > column[hi]) hi = i;
+            }
+        }
+        flush();
+        return points;
+    }
+}
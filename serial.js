@@ -1,19 +1,107 @@
 /**
  * SerialManager class
  * Encapsulates Web Serial API logic with Binary Protocol support.
+ * Received bytes are decoded by a StreamDecoder (decoder.js), in the decode
+ * worker when one can be started; each decoded packet is emitted under its
+ * registered name via on(name, callback). In text mode the stream is split
+ * into lines instead, each emitted as 'line' and, when the LineParser maps
+ * it, as a sample. Samples are not emitted one by one: each chunk's samples
+ * run through the live SignalPipeline (next to the decoder) and are emitted
+ * as one 'samples' batch, which also goes to onDataCallback.
+ * A USB device that drops out is reconnected when it reappears; until then
+ * the manager is in `dropout` and the session is kept alive.
  */
 class SerialManager {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {string|null} [options.workerUrl] Decode worker script, null to decode on the main thread
+     */
+    constructor(options = {}) {
         this.port = null;
         this.reader = null;
         this.readableStreamClosed = null;
         this.isReading = false;
         this.onDataCallback = null;
+        this.onRawCallback = null; // Every received chunk, before decoding
+        this.onInspectCallback = null; // Accepted/rejected frames, see setInspectCallback()
         this.onDisconnectCallback = null;
+        this.onDropoutCallback = null; // Device vanished, waiting for it to return
+        this.onReconnectCallback = null; // Device back after a dropout
+
+        // Protocol
+        this.registry = PacketRegistry.createDefault();
+        this.packetHandlers = new Map(); // packet name -> Set of callbacks
+        this.on('samples', (batch) => {
+            if (this.onDataCallback) this.onDataCallback(batch);
+        });
+
+        // Decoding (see startDecoder()). With a worker, `stats` mirrors the worker's counters.
+        this.stats = new LinkStats();
+        this.decoder = null; // StreamDecoder when decoding on this thread
+        this.pipeline = null; // SignalPipeline when decoding on this thread
+        this.pendingSamples = []; // Decoded on this thread, not yet analysed
+        this.worker = null;
+        this.workerReady = false;
+        this.workerQueue = []; // Messages sent before the worker was ready
+        this.requests = new Map(); // id -> resolve of a pipeline call awaiting the worker's reply
+        this.nextRequestId = 1;
+
+        // Text mode (see setTextMode())
+        this.mode = 'binary'; // binary | text
+        this.lineEnding = '\n';
+        this.lineParser = null;
+        this.textEncoder = new TextEncoder();
+
+        // Auto reconnect (see disconnectFromHardware())
+        this.portSettings = SerialManager.normalizeSettings({}); // Settings the port was opened with
+        this.autoReconnect = true;
+        this.reconnectTimeoutMs = 30000; // Longer dropouts end the session
+        this.dropout = null; // { key, settings, since, timer }
+        if (SerialManager.isSupported()) {
+            navigator.serial.addEventListener('connect', (event) => this.handlePortAppeared(event.target));
+        }
+
+        // Serialises writes (see write())
+        this.writeQueue = []; // [{data, resolve}] waiting for the writer
+        this.isWriting = false;
 
-        // Protocol Buffer
-        this.rxBuffer = new Uint8Array(4096);
-        this.rxHead = 0;
+        this.startDecoder(options.workerUrl === undefined ? 'decode-worker.js' : options.workerUrl);
+    }
+
+    /**
+     * Subscribe to a decoded packet type.
+     * @param {string} name Packet name from the registry
+     * @param {Function} callback Receives the decoded field values
+     */
+    on(name, callback) {
+        if (!this.packetHandlers.has(name)) this.packetHandlers.set(name, new Set());
+        this.packetHandlers.get(name).add(callback);
+    }
+
+    off(name, callback) {
+        const handlers = this.packetHandlers.get(name);
+        if (handlers) handlers.delete(callback);
+    }
+
+    /**
+     * Switch to line-based text input.
+     * @param {Object} options
+     * @param {string} options.lineEnding Actual characters, e.g. '\r\n'
+     * @param {LineParser} options.parser Maps a line to cuff/pulse
+     */
+    setTextMode({ lineEnding, parser }) {
+        this.mode = 'text';
+        this.lineEnding = lineEnding;
+        this.lineParser = parser;
+        if (this.decoder) this.decoder.setTextMode({ lineEnding, parser });
+        this.postToWorker({ type: 'text-mode', lineEnding, parser: parser.options });
+    }
+
+    setBinaryMode() {
+        this.mode = 'binary';
+        this.lineParser = null;
+        if (this.decoder) this.decoder.setBinaryMode();
+        this.postToWorker({ type: 'binary-mode' });
     }
 
     /**
@@ -23,17 +111,103 @@ class SerialManager {
         return 'serial' in navigator;
     }
 
+    /**
+     * USB identity used to recognise a device across reconnects.
+     * @param {Object} info SerialPort.getInfo()
+     * @returns {string|null} "VVVV:PPPP", or null for ports without USB ids
+     */
+    static portKey(info) {
+        if (!info || info.usbVendorId === undefined || info.usbProductId === undefined) return null;
+        const hex = n => n.toString(16).toUpperCase().padStart(4, '0');
+        return `${hex(info.usbVendorId)}:${hex(info.usbProductId)}`;
+    }
+
+    /**
+     * Ports this origin was granted before; they open without the picker.
+     * @returns {Promise<Object[]>}
+     */
+    static async knownPorts() {
+        if (!SerialManager.isSupported()) return [];
+        return navigator.serial.getPorts();
+    }
+
+    /**
+     * Web Serial open() options with defaults filled in and values checked.
+     * @param {Object} settings { baudRate, dataBits, stopBits, parity, flowControl, bufferSize }
+     * @returns {Object}
+     */
+    static normalizeSettings(settings) {
+        const s = {
+            baudRate: 9600,
+            dataBits: 8,
+            stopBits: 1,
+            parity: 'none',
+            flowControl: 'none',
+            bufferSize: 255,
+            ...settings
+        };
+        s.baudRate = Number(s.baudRate);
+        s.dataBits = Number(s.dataBits);
+        s.stopBits = Number(s.stopBits);
+        s.bufferSize = Number(s.bufferSize);
+
+        if (!Number.isInteger(s.baudRate) || s.baudRate <= 0) throw new Error(`Invalid baud rate: ${settings.baudRate}`);
+        if (![7, 8].includes(s.dataBits)) throw new Error(`Data bits must be 7 or 8, got ${settings.dataBits}`);
+        if (![1, 2].includes(s.stopBits)) throw new Error(`Stop bits must be 1 or 2, got ${settings.stopBits}`);
+        if (!['none', 'even', 'odd'].includes(s.parity)) throw new Error(`Invalid parity: ${s.parity}`);
+        if (!['none', 'hardware'].includes(s.flowControl)) throw new Error(`Invalid flow control: ${s.flowControl}`);
+        if (!Number.isInteger(s.bufferSize) || s.bufferSize <= 0 || s.bufferSize > 16777216) {
+            throw new Error(`Invalid buffer size: ${settings.bufferSize}`);
+        }
+        return s;
+    }
+
+    /**
+     * Port settings saved for a device, by VID:PID.
+     * @param {string} key From portKey()
+     * @returns {Object|null}
+     */
+    static loadDeviceSettings(key) {
+        try {
+            const all = JSON.parse(localStorage.getItem('inibp.serial.devices')) || {};
+            return all[key] || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static saveDeviceSettings(key, settings) {
+        try {
+            const all = JSON.parse(localStorage.getItem('inibp.serial.devices')) || {};
+            all[key] = settings;
+            localStorage.setItem('inibp.serial.devices', JSON.stringify(all));
+        } catch (error) {
+            console.warn('Could not save port settings:', error);
+        }
+    }
+
     /**
      * Request a port and connect.
-     * @param {number} baudRate 
+     * Settings that open successfully are saved for the device's VID:PID.
+     * @param {number|Object} settings Baud rate, or open() options (see normalizeSettings())
+     * @param {Object} [port] Pre-selected port (e.g. SimulatedPort); skips the browser picker
+     * @param {Object} [options] { resume } keeps link statistics across a reconnect;
+     *   { preferSaved } opens with the device's saved settings when it has any
      */
-    async connect(baudRate = 9600) {
+    async connect(settings = 9600, port = null, options = {}) {
         try {
             // Request port (user gesture required)
-            this.port = await navigator.serial.requestPort();
+            this.port = port || await navigator.serial.requestPort();
 
             // Open port
-            await this.port.open({ baudRate: parseInt(baudRate) });
+            const key = SerialManager.portKey(this.port.getInfo());
+            const saved = key && options.preferSaved ? SerialManager.loadDeviceSettings(key) : null;
+            const requested = typeof settings === 'object' ? settings : { baudRate: settings };
+            const openSettings = SerialManager.normalizeSettings(saved || requested);
+            await this.port.open(openSettings);
+            this.portSettings = openSettings;
+            if (key) SerialManager.saveDeviceSettings(key, openSettings);
+            this.resetDecoder(!!options.resume);
 
             // Setup read loop
             this.startReading();
@@ -41,14 +215,17 @@ class SerialManager {
             // Get Info (VID/PID)
             const info = this.port.getInfo();
 
-            // Handle unplanned disconnects (cable pulled)
-            this.port.addEventListener('disconnect', () => {
-                this.disconnectFromHardware();
+            // Handle unplanned disconnects (cable pulled).
+            // A port object that is reconnected keeps its old listener: only act for the current one.
+            const opened = this.port;
+            opened.addEventListener('disconnect', () => {
+                if (this.port === opened) this.disconnectFromHardware();
             });
 
-            return { success: true, info };
+            return { success: true, info, settings: openSettings };
         } catch (error) {
             console.warn('Connection failed or cancelled:', error);
+            this.port = null;
             return { success: false, error };
         }
     }
@@ -58,100 +235,210 @@ class SerialManager {
      */
     async startReading() {
         this.isReading = true;
-        this.reader = this.port.readable.getReader();
+        const reader = this.port.readable.getReader();
+        this.reader = reader;
 
         try {
             while (true) {
-                const { value, done } = await this.reader.read();
+                const { value, done } = await reader.read();
                 if (done) {
                     break;
                 }
                 if (value) {
-                    this.processIncomingChunk(value);
+                    if (this.onRawCallback) this.onRawCallback(value);
+                    this.decode(value);
                 }
             }
         } catch (error) {
             console.error('Read error:', error);
         } finally {
-            this.reader.releaseLock();
-        }
-    }
-
-    /**
-     * Handle incoming raw bytes and look for packets.
-     * Packet format: Start(0xAA) | Len(8) | Cuff(4) | Pulse(4) | Checksum
-     * Total = 11 bytes
-     * @param {Uint8Array} chunk 
-     */
-    processIncomingChunk(chunk) {
-        // Append to buffer
-        if (this.rxHead + chunk.length > this.rxBuffer.length) {
-            // Simple safety: Reset if buffer overflows
-            // Ideally, we should shift data or use a ring buffer, but for typical packet sizes 4096 is plenty
-            console.warn('Buffer overflow, resetting');
-            this.rxHead = 0;
-        }
-        this.rxBuffer.set(chunk, this.rxHead);
-        this.rxHead += chunk.length;
-
-        // Try to find packets
-        let searchIdx = 0;
-
-        // Loop while we have enough bytes for at least one packet (11 bytes)
-        while (searchIdx <= this.rxHead - 11) {
-            // Check for Start Byte
-            if (this.rxBuffer[searchIdx] === 0xAA) {
-                // Check Packet Length (Byte 1, should be 8)
-                const payloadLen = this.rxBuffer[searchIdx + 1];
-                if (payloadLen === 8) {
-                    // Check Checksum
-                    if (this.verifyChecksum(searchIdx)) {
-                        // Found a valid packet!
-                        this.parsePacket(searchIdx);
-                        searchIdx += 11; // Move past this packet
-                        continue;
-                    }
-                }
+            reader.releaseLock();
+        }
+    }
+
+    /**
+     * Decode in the worker when the browser allows it (pages opened from
+     * file:// cannot start one, for instance); otherwise, or if the worker
+     * fails to load, on this thread.
+     * @param {string|null} workerUrl
+     */
+    startDecoder(workerUrl) {
+        if (workerUrl && typeof Worker !== 'undefined') {
+            try {
+                this.worker = new Worker(workerUrl);
+                this.worker.onmessage = (event) => this.handleWorkerMessage(event.data);
+                this.worker.onerror = (event) => {
+                    if (this.workerReady) return;
+                    event.preventDefault();
+                    this.useLocalDecoder(new Error(event.message || 'worker failed to load'));
+                };
+                return;
+            } catch (error) {
+                this.useLocalDecoder(error);
+                return;
             }
-            // If not a packet, move forward one byte
-            searchIdx++;
         }
+        this.useLocalDecoder(null);
+    }
+
+    /**
+     * Fall back to decoding on the main thread, taking over the current
+     * mode and anything queued for a worker that never started.
+     * @param {Error|null} reason
+     */
+    useLocalDecoder(reason) {
+        if (reason) console.warn('Decode worker unavailable, decoding on the main thread:', reason);
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        const queued = this.workerQueue;
+        this.workerQueue = [];
 
-        // Shift remaining bytes to start of buffer
-        if (searchIdx > 0) {
-            // rxHead - searchIdx = bytes remaining
-            this.rxBuffer.copyWithin(0, searchIdx, this.rxHead);
-            this.rxHead -= searchIdx;
+        this.decoder = new StreamDecoder(this.registry);
+        this.decoder.stats = this.stats;
+        this.decoder.onPacket = (name, values) => {
+            if (name === 'sample') {
+                this.pendingSamples.push(values);
+                return;
+            }
+            this.flushSamples();
+            this.emit(name, values);
+        };
+        this.decoder.onInspect = this.onInspectCallback ? (event) => this.inspectLocally(event) : null;
+        if (this.mode === 'text') this.decoder.setTextMode({ lineEnding: this.lineEnding, parser: this.lineParser });
+        this.pipeline = new SignalPipeline();
+        for (const message of queued) {
+            if (message.type === 'chunk') this.decode(message.chunk, message.time);
+            if (message.type === 'pipeline') this.reply(message.id, this.pipeline[message.method](...message.args));
         }
     }
 
-    verifyChecksum(idx) {
-        let checksum = 0;
-        // XOR first 10 bytes (0 to 9)
-        for (let i = 0; i < 10; i++) {
-            checksum ^= this.rxBuffer[idx + i];
+    /**
+     * Analyse the samples decoded on this thread and emit them as a batch.
+     */
+    flushSamples() {
+        if (this.pendingSamples.length === 0) return;
+        const batch = this.pipeline.process(this.pendingSamples);
+        this.pendingSamples = [];
+        this.emit('samples', batch);
+    }
+
+    inspectLocally(event) {
+        this.flushSamples(); // Keep stream order, as the worker does
+        if (this.onInspectCallback) this.onInspectCallback(event);
+    }
+
+    /**
+     * Call a SignalPipeline method on the live pipeline, wherever it runs.
+     * @param {string} method e.g. 'setFilters', 'beginDeflation'
+     * @param {...*} args JSON-compatible arguments
+     * @returns {Promise<*>} What the method returned
+     */
+    callPipeline(method, ...args) {
+        if (this.pipeline) return Promise.resolve(this.pipeline[method](...args));
+        return new Promise((resolve) => {
+            const id = this.nextRequestId++;
+            this.requests.set(id, resolve);
+            this.postToWorker({ type: 'pipeline', method, args, id });
+        });
+    }
+
+    reply(id, result) {
+        const resolve = this.requests.get(id);
+        if (!resolve) return;
+        this.requests.delete(id);
+        resolve(result);
+    }
+
+    /**
+     * Send a message to the worker, or queue it until the worker is ready.
+     * Ignored when decoding locally.
+     */
+    postToWorker(message, transfer = []) {
+        if (!this.worker) return;
+        if (this.workerReady) {
+            this.worker.postMessage(message, transfer);
+        } else {
+            this.workerQueue.push(message);
         }
-        // Compare with 11th byte (index 10)
-        return checksum === this.rxBuffer[idx + 10];
     }
 
-    parsePacket(idx) {
-        const view = new DataView(this.rxBuffer.buffer, idx, 11);
+    /**
+     * Messages from decode-worker.js.
+     */
+    handleWorkerMessage(message) {
+        switch (message.type) {
+            case 'ready':
+                this.workerReady = true;
+                for (const queued of this.workerQueue) this.worker.postMessage(queued);
+                this.workerQueue = [];
+                break;
+            case 'samples':
+                if (message.stats) Object.assign(this.stats, message.stats);
+                if (message.batch.time.length > 0) this.emit('samples', message.batch);
+                break;
+            case 'reply':
+                this.reply(message.id, message.result);
+                break;
+            case 'packet':
+                this.emit(message.name, message.values);
+                break;
+            case 'inspect':
+                if (this.onInspectCallback) this.onInspectCallback(message.event);
+                break;
+        }
+    }
 
-        // Structure: [AA] [08] [Cuff:4] [Pulse:4] [CS]
-        // Bytes 2-5: Cuff Pressure (int32)
-        // Bytes 6-9: Pulse Pressure (int32)
+    /**
+     * Decode a received chunk.
+     * @param {Uint8Array} chunk
+     * @param {number} [time] Arrival (ms); the worker may get the chunk later
+     */
+    decode(chunk, time = Date.now()) {
+        if (this.decoder) {
+            this.decoder.push(chunk, time);
+            this.flushSamples();
+        } else {
+            this.postToWorker({ type: 'chunk', chunk, time });
+        }
+    }
 
-        // User code: packet[idx++] = (a >> 0) & 0xFF; -> Little Endian
-        const cuffInt = view.getInt32(2, true);
-        const pulseInt = view.getInt32(6, true);
+    /**
+     * Forget buffered bytes when a port opens.
+     * @param {boolean} resume Keep the link statistics across a reconnect
+     */
+    resetDecoder(resume) {
+        if (this.decoder) {
+            this.decoder.reset(resume);
+            return;
+        }
+        // Mirror the reset now; the worker's next statistics overwrite it
+        if (resume) {
+            this.stats.restart();
+        } else {
+            this.stats.reset();
+        }
+        this.postToWorker({ type: 'reset', resume });
+    }
 
-        // Convert back to float
-        const cuff = cuffInt / 100.0;
-        const pulse = pulseInt / 100.0;
+    /**
+     * Receive accepted/rejected frames ({type: 'frame'|'reject', ...}, see
+     * StreamDecoder.processIncomingChunk()), or stop with null.
+     * @param {Function|null} callback
+     */
+    setInspectCallback(callback) {
+        this.onInspectCallback = callback;
+        if (this.decoder) this.decoder.onInspect = callback ? (event) => this.inspectLocally(event) : null;
+        this.postToWorker({ type: 'inspect', enabled: !!callback });
+    }
 
-        if (this.onDataCallback) {
-            this.onDataCallback({ cuff, pulse });
+    /**
+     * Hand decoded values to the subscribers of a packet name.
+     */
+    emit(name, values) {
+        const handlers = this.packetHandlers.get(name);
+        if (!handlers) return;
+        for (const callback of handlers) {
+            callback(values);
         }
     }
 
@@ -159,6 +446,11 @@ class SerialManager {
      * Disconnect gracefully.
      */
     async disconnect() {
+        if (this.dropout) {
+            // Nothing to close: just stop waiting for the device
+            this.abandonReconnect();
+            return;
+        }
         if (this.reader) {
             await this.reader.cancel();
         }
@@ -174,25 +466,99 @@ class SerialManager {
      * Internal helper when hardware disconnects externally.
      */
     disconnectFromHardware() {
+        const key = this.port ? SerialManager.portKey(this.port.getInfo()) : null;
+        if (this.autoReconnect && key) {
+            this.port = null;
+            this.reader = null;
+            this.isReading = false;
+            this.dropout = { key, settings: this.portSettings, since: Date.now() };
+            this.dropout.timer = setTimeout(() => this.abandonReconnect(), this.reconnectTimeoutMs);
+            if (this.onDropoutCallback) this.onDropoutCallback(this.dropout);
+            return;
+        }
+
         if (this.onDisconnectCallback) this.onDisconnectCallback();
         this.port = null;
         this.reader = null; // Port already closed by browser logic usually
     }
+
+    /**
+     * A granted port was plugged in. Resume if it is the device we lost.
+     * @param {Object} port SerialPort
+     */
+    async handlePortAppeared(port) {
+        const dropout = this.dropout;
+        if (!dropout || SerialManager.portKey(port.getInfo()) !== dropout.key) return;
+
+        // The device may still be enumerating: give it a few tries
+        for (let attempt = 0; attempt < 3 && this.dropout === dropout; attempt++) {
+            const result = await this.connect(dropout.settings, port, { resume: true });
+            if (result.success) {
+                clearTimeout(dropout.timer);
+                this.dropout = null;
+                if (this.onReconnectCallback) {
+                    this.onReconnectCallback({ ...result, since: dropout.since, gapMs: Date.now() - dropout.since });
+                }
+                return;
+            }
+            await new Promise(resolve => setTimeout(resolve, 1000));
+        }
+    }
+
+    /**
+     * Give up on a dropout and report a normal disconnect.
+     */
+    abandonReconnect() {
+        if (!this.dropout) return;
+        clearTimeout(this.dropout.timer);
+        this.dropout = null;
+        if (this.onDisconnectCallback) this.onDisconnectCallback();
+    }
     /**
      * Send data to the device.
+     * Writes are queued so overlapping callers (e.g. a command retry and
+     * an ABORT) never fight over the writer lock. A failed write resolves
+     * false and the queue carries on.
      * @param {string|Uint8Array} data 
+     * @param {Object} [options]
+     * @param {boolean} [options.urgent] Go ahead of the queued writes (ABORT);
+     *   only a write already in progress is waited for
+     * @returns {Promise<boolean>}
      */
-    async write(data) {
+    write(data, options = {}) {
+        return new Promise((resolve) => {
+            const entry = { data, resolve };
+            if (options.urgent) {
+                this.writeQueue.unshift(entry);
+            } else {
+                this.writeQueue.push(entry);
+            }
+            this.drainWrites();
+        });
+    }
+
+    async drainWrites() {
+        if (this.isWriting) return;
+        this.isWriting = true;
+        while (this.writeQueue.length > 0) {
+            const { data, resolve } = this.writeQueue.shift();
+            resolve(await this.writeNow(data));
+        }
+        this.isWriting = false;
+    }
+
+    async writeNow(data) {
         if (!this.port || !this.port.writable) {
             console.warn('Port not writable');
             return false;
         }
 
-        const writer = this.port.writable.getWriter();
+        let writer = null;
         try {
+            // Throws when the stream is locked or errored (e.g. after a dropout)
+            writer = this.port.writable.getWriter();
             if (typeof data === 'string') {
-                const encoder = new TextEncoder();
-                await writer.write(encoder.encode(data));
+                await writer.write(this.textEncoder.encode(data));
             } else {
                 await writer.write(data);
             }
@@ -201,7 +567,7 @@ class SerialManager {
             console.error('Write error:', error);
             return false;
         } finally {
-            writer.releaseLock();
+            if (writer) writer.releaseLock();
         }
     }
 }
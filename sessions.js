@@ -0,0 +1,212 @@
+/**
+ * SessionStore class
+ * Persists measurement sessions in IndexedDB. Metadata and sample data
+ * live in separate object stores so the history list never loads samples.
+ */
+class SessionStore {
+    constructor(dbName = 'inibp') {
+        this.dbName = dbName;
+        this.db = null;
+    }
+
+    static isSupported() {
+        return 'indexedDB' in window;
+    }
+
+    /**
+     * Open (and if needed create) the database.
+     * @returns {Promise<void>}
+     */
+    open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                const sessions = db.createObjectStore('sessions', { keyPath: 'id', autoIncrement: true });
+                sessions.createIndex('startedAt', 'startedAt');
+                db.createObjectStore('samples', { keyPath: 'id' });
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Run a transaction and resolve with the value of the last request.
+     */
+    run(storeNames, mode, work) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(storeNames, mode);
+            let result;
+            work(tx, (request) => {
+                request.onsuccess = () => {
+                    result = request.result;
+                };
+            });
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Store a new session. Metadata and samples go in one transaction, so a
+     * failed write leaves neither behind.
+     * @param {Object} session Metadata plus a `samples` {time, cuff, pulse} typed-array bundle
+     * @returns {Promise<number>} New session id
+     */
+    async add(session) {
+        const { samples, ...meta } = session;
+        let id;
+        await this.run(['sessions', 'samples'], 'readwrite', (tx) => {
+            const request = tx.objectStore('sessions').add(meta);
+            request.onsuccess = () => {
+                id = request.result;
+                tx.objectStore('samples').put({ id, ...samples });
+            };
+        });
+        return id;
+    }
+
+    /**
+     * All session metadata, newest first.
+     * @returns {Promise<Object[]>}
+     */
+    async list() {
+        const all = await this.run(['sessions'], 'readonly', (tx, track) => {
+            track(tx.objectStore('sessions').index('startedAt').getAll());
+        });
+        return all.reverse();
+    }
+
+    /**
+     * Session metadata together with its samples.
+     * @param {number} id
+     */
+    async get(id) {
+        let meta;
+        let samples;
+        await this.run(['sessions', 'samples'], 'readonly', (tx) => {
+            const a = tx.objectStore('sessions').get(id);
+            const b = tx.objectStore('samples').get(id);
+            a.onsuccess = () => { meta = a.result; };
+            b.onsuccess = () => { samples = b.result; };
+        });
+        return meta ? { ...meta, samples } : null;
+    }
+
+    /**
+     * Merge fields into a session's metadata.
+     * @param {number} id
+     * @param {Object} patch
+     */
+    async update(id, patch) {
+        await this.run(['sessions'], 'readwrite', (tx) => {
+            const store = tx.objectStore('sessions');
+            const request = store.get(id);
+            request.onsuccess = () => {
+                if (request.result) store.put({ ...request.result, ...patch, id });
+            };
+        });
+    }
+
+    async delete(id) {
+        await this.run(['sessions', 'samples'], 'readwrite', (tx) => {
+            tx.objectStore('sessions').delete(id);
+            tx.objectStore('samples').delete(id);
+        });
+    }
+}
+
+/**
+ * SessionRecorder class
+ * Collects the samples of one START/LINEAR/STATIC run until it is finished.
+ */
+class SessionRecorder {
+    constructor() {
+        this.active = null;
+    }
+
+    get isRecording() {
+        return this.active !== null;
+    }
+
+    /**
+     * @param {Object} info { mode, trigger, calibration, filters }
+     */
+    start(info) {
+        const startedAt = Date.now();
+        this.active = {
+            name: `${info.mode} ${new Date(startedAt).toLocaleString()}`,
+            notes: '',
+            mode: info.mode,
+            trigger: info.trigger || null, // Trigger settings the charts captured the run with
+            calibration: info.calibration || null, // Profile applied to the cuff readings
+            filters: info.filters || null, // FilterChain settings the run was viewed with
+            startedAt,
+            results: {},
+            gaps: [], // [{start, end}] ms, connection dropouts
+            time: [],
+            cuff: [],
+            pulse: []
+        };
+    }
+
+    add(time, cuff, pulse) {
+        if (!this.active) return;
+        this.active.time.push(time);
+        this.active.cuff.push(cuff);
+        this.active.pulse.push(pulse);
+    }
+
+    /**
+     * Note a stretch without data (connection dropout).
+     * @param {number} start ms
+     * @param {number} end ms
+     */
+    markGap(start, end) {
+        if (this.active) this.active.gaps.push({ start, end });
+    }
+
+    /**
+     * Attach analysis output to the session being recorded.
+     * @param {Object} results
+     */
+    setResults(results) {
+        if (this.active) Object.assign(this.active.results, results);
+    }
+
+    /**
+     * Close the session and package it for SessionStore.add().
+     * @returns {Object|null} null when nothing was recorded
+     */
+    finish() {
+        const s = this.active;
+        this.active = null;
+        if (!s || s.time.length === 0) return null;
+
+        const endedAt = Date.now();
+        return {
+            name: s.name,
+            notes: s.notes,
+            mode: s.mode,
+            trigger: s.trigger,
+            calibration: s.calibration,
+            filters: s.filters,
+            startedAt: s.startedAt,
+            endedAt,
+            duration: (endedAt - s.startedAt) / 1000,
+            sampleCount: s.time.length,
+            results: s.results,
+            gaps: s.gaps,
+            samples: {
+                time: Float64Array.from(s.time),
+                cuff: Float32Array.from(s.cuff),
+                pulse: Float32Array.from(s.pulse)
+            }
+        };
+    }
+}
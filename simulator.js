@@ -0,0 +1,353 @@
+/**
+ * SimulatedPort class
+ * Stands in for a Web Serial port and behaves like an iNIBP board:
+ * streams 0xAA binary packets for an inflate/deflate cycle, reports its
+ * state through status/error frames and obeys the START (1),
+ * ABORT (2), LINEAR DEFLATION (3) and STATIC HOLD (4) commands, either
+ * framed (and acknowledged) or as bare command bytes. With `textOutput` set
+ * it prints readings and takes commands as `<code> [value]` lines.
+ */
+class SimulatedPort extends EventTarget {
+    /**
+     * @param {Object} settings Overrides for SimulatedPort.defaults (can be changed while running)
+     */
+    constructor(settings = {}) {
+        super();
+        this.settings = Object.assign({}, SimulatedPort.defaults, settings);
+        this.readable = null;
+        this.writable = null;
+        this.timer = null;
+        this.registry = PacketRegistry.createDefault();
+        this.outbox = []; // Status/error frames waiting for the next chunk
+        this.rxBytes = []; // Host bytes not yet parsed
+        this.rxText = ''; // Incomplete command line (text output)
+        this.lastSeq = null; // Last executed command sequence number
+        this.sampleSeq = 0; // Sequence number of the next sample frame
+        this.textEncoder = new TextEncoder();
+
+        // Physiology state
+        this.phase = 'idle'; // idle | inflate | deflate | hold | dump
+        this.pressure = 0;
+        this.target = 0;
+        this.holdAtTarget = false; // HOLD: stay at the target instead of deflating
+        this.stepClock = 0; // s into the current valve step cycle
+        this.beatPhase = 0;
+        this.beatRate = 1; // Current beat length multiplier (HR variability)
+    }
+
+    static get defaults() {
+        return {
+            sampleRate: 100, // Hz
+            systolic: 120, // mmHg
+            diastolic: 80, // mmHg
+            heartRate: 72, // bpm
+            noise: 0.05, // Std deviation (mmHg)
+            deflationRate: 3, // mmHg/s (average, when stepped)
+            deflationStep: 0, // mmHg per valve step, 0 for a continuous bleed
+            inflationRate: 20, // mmHg/s
+            dumpRate: 50, // mmHg/s
+            leakRate: 1, // mmHg/min lost while holding
+            maxPressure: 300, // mmHg, over-pressure fault
+            commandLoss: 0, // Fraction of command frames silently dropped
+            sampleLoss: 0, // Fraction of sample frames silently dropped
+            textOutput: null, // Line ending: print `P:cuff,O:pulse` lines instead of frames
+            protocolVersion: 1 // Sample frame layout: 1 = firmware length-8 frame, 2 = numbered (seq)
+        };
+    }
+
+    getInfo() {
+        return {};
+    }
+
+    async open() {
+        if (this.readable) throw new Error('Port already open');
+
+        this.setPhase('idle');
+
+        this.readable = new ReadableStream({
+            start: (controller) => {
+                let last = performance.now();
+                let carry = 0;
+                this.timer = setInterval(() => {
+                    const now = performance.now();
+                    carry += ((now - last) / 1000) * this.settings.sampleRate;
+                    last = now;
+
+                    const count = Math.floor(carry);
+                    if (count === 0) return;
+                    carry -= count;
+
+                    const frames = [];
+                    for (let i = 0; i < count; i++) {
+                        const sample = this.step(1 / this.settings.sampleRate);
+                        const seq = this.sampleSeq;
+                        this.sampleSeq = (seq + 1) & 0xFFFF;
+                        const status = this.outbox.splice(0);
+                        const lost = Math.random() < this.settings.sampleLoss;
+
+                        if (this.settings.textOutput) {
+                            // Text boards only print readings: no status, error or ack frames
+                            const line = `P:${sample.cuff.toFixed(2)},O:${sample.pulse.toFixed(2)}${this.settings.textOutput}`;
+                            if (!lost) frames.push(this.textEncoder.encode(line));
+                        } else {
+                            frames.push(...status);
+                            if (!lost) frames.push(this.registry.encode('sample', { seq, ...sample }, this.settings.protocolVersion));
+                        }
+                    }
+                    controller.enqueue(SimulatedPort.concat(frames));
+                }, 20);
+            },
+            cancel: () => this.stopTimer()
+        });
+
+        this.writable = new WritableStream({
+            write: (chunk) => this.receive(chunk)
+        });
+    }
+
+    async close() {
+        this.stopTimer();
+        this.readable = null;
+        this.writable = null;
+        this.phase = 'idle';
+        this.pressure = 0;
+        this.outbox = [];
+        this.rxBytes = [];
+        this.rxText = '';
+        this.lastSeq = null;
+    }
+
+    stopTimer() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Parse bytes written by the host: framed commands, or bare command
+     * bytes between frames.
+     * @param {Uint8Array} chunk
+     */
+    receive(chunk) {
+        if (this.settings.textOutput) {
+            this.receiveText(chunk);
+            return;
+        }
+        this.rxBytes.push(...chunk);
+        const bytes = this.rxBytes;
+
+        while (bytes.length > 0) {
+            if (bytes[0] !== PacketRegistry.START_BYTE) {
+                this.handleCommand(bytes.shift());
+                continue;
+            }
+            if (bytes.length < 3) return; // Wait for the header
+
+            const frameLen = bytes[1] + 3;
+            if (bytes.length < frameLen) return; // Wait for the rest
+
+            const def = this.registry.lookup(bytes[1], bytes[2]);
+            if (!def || (def.name !== 'command' && def.name !== 'command-arg')) {
+                // Drop the whole frame: its payload bytes are not bare commands
+                bytes.splice(0, frameLen);
+                continue;
+            }
+
+            const frame = Uint8Array.from(bytes.splice(0, frameLen));
+            if (PacketRegistry.checksum(frame, 0, frameLen - 1) !== frame[frameLen - 1]) continue;
+            if (Math.random() < this.settings.commandLoss) continue;
+
+            const { seq, command, value } = this.registry.decode(def, frame, 0);
+            // A retry of the command we already ran: acknowledge again, don't re-run
+            if (seq !== this.lastSeq) {
+                this.lastSeq = seq;
+                this.handleCommand(command, value);
+            }
+            const result = [1, 2, 3, 4].includes(command) ? 0 : 1;
+            this.outbox.push(this.registry.encode('ack', { seq, command, result }));
+        }
+    }
+
+    /**
+     * Parse command lines (text output): `<code>` or `<code> <value>`, ended
+     * like the lines the board prints.
+     * @param {Uint8Array} chunk
+     */
+    receiveText(chunk) {
+        this.rxText += new TextDecoder().decode(chunk);
+        const lines = this.rxText.split(this.settings.textOutput);
+        this.rxText = lines.pop();
+        for (const line of lines) {
+            const match = line.trim().match(/^(\d+)(?:\s+(-?\d+(?:\.\d+)?))?$/);
+            if (match) this.handleCommand(Number(match[1]), match[2] === undefined ? undefined : Number(match[2]));
+        }
+    }
+
+    /**
+     * React to a command byte written by the host.
+     * @param {number} byte
+     * @param {number} [value] Argument of a command-arg frame
+     */
+    handleCommand(byte, value) {
+        const s = this.settings;
+        switch (byte) {
+            case 1: // START: inflate past systolic, then deflate
+                this.target = s.systolic + 40;
+                this.holdAtTarget = false;
+                this.setPhase('inflate');
+                break;
+            case 2: // ABORT: dump the cuff
+                this.setPhase('dump', 'aborted');
+                break;
+            case 3: // LINEAR DEFLATION: inflate above the 250 mmHg trigger
+                this.target = 270;
+                this.holdAtTarget = false;
+                this.setPhase('inflate');
+                break;
+            case 4: // STATIC HOLD: inflate to the target and stay there (a bare byte has no target)
+                this.target = value || 200;
+                this.holdAtTarget = true;
+                this.setPhase('inflate');
+                break;
+        }
+    }
+
+    /**
+     * Change phase and queue the matching status frame.
+     * @param {string} phase idle | inflate | deflate | hold | dump
+     * @param {string} [reported] Device state to report, if not implied by the phase
+     */
+    setPhase(phase, reported) {
+        this.phase = phase;
+        const key = reported || { idle: 'idle', inflate: 'inflating', deflate: 'deflating', hold: 'holding' }[phase];
+        const code = Object.keys(DEVICE_STATES).find(c => DEVICE_STATES[c].key === key);
+        if (code !== undefined) {
+            this.outbox.push(this.registry.encode('status', { state: Number(code) }));
+        }
+    }
+
+    /**
+     * Queue an error frame.
+     * @param {string} key DEVICE_ERRORS key
+     */
+    raiseError(key) {
+        const code = Object.keys(DEVICE_ERRORS).find(c => DEVICE_ERRORS[c].key === key);
+        this.outbox.push(this.registry.encode('error', { code: Number(code) }));
+    }
+
+    /**
+     * Advance the model by one sample.
+     * @param {number} dt Seconds
+     * @returns {{cuff: number, pulse: number}}
+     */
+    step(dt) {
+        const s = this.settings;
+
+        switch (this.phase) {
+            case 'inflate':
+                this.pressure += s.inflationRate * dt;
+                if (this.pressure >= s.maxPressure) {
+                    this.raiseError('over-pressure');
+                    this.setPhase('dump', 'aborted');
+                } else if (this.pressure >= this.target) {
+                    this.stepClock = 0;
+                    this.setPhase(this.holdAtTarget ? 'hold' : 'deflate');
+                }
+                break;
+            case 'hold':
+                this.pressure -= (s.leakRate / 60) * dt;
+                break;
+            case 'deflate':
+                if (s.deflationStep > 0) {
+                    // Stepped valve: a quick drop, then hold until the next cycle
+                    this.stepClock += dt;
+                    const period = s.deflationStep / s.deflationRate;
+                    if (this.stepClock < s.deflationStep / s.dumpRate) {
+                        this.pressure -= s.dumpRate * dt;
+                    } else if (this.stepClock >= period) {
+                        this.stepClock = 0;
+                    }
+                } else {
+                    this.pressure -= s.deflationRate * dt;
+                }
+                if (this.pressure <= 20) this.setPhase('dump', 'complete');
+                break;
+            case 'dump':
+                this.pressure -= s.dumpRate * dt;
+                if (this.pressure <= 0) this.setPhase('idle');
+                break;
+        }
+        this.pressure = Math.max(0, this.pressure);
+
+        // Heart beat timing with a little beat-to-beat variability
+        this.beatPhase += dt * (s.heartRate / 60) * this.beatRate;
+        if (this.beatPhase >= 1) {
+            this.beatPhase -= 1;
+            this.beatRate = 1 + (Math.random() - 0.5) * 0.06;
+        }
+
+        const osc = this.pressure > 0
+            ? this.envelope(this.pressure) * SimulatedPort.waveform(this.beatPhase)
+            : 0;
+
+        return {
+            cuff: this.pressure + osc * 0.3 + SimulatedPort.gaussian() * s.noise,
+            pulse: osc + SimulatedPort.gaussian() * s.noise
+        };
+    }
+
+    /**
+     * Oscillation amplitude at a given cuff pressure.
+     * Asymmetric Gaussian around MAP, shaped so the standard characteristic
+     * ratios (0.55 systolic, 0.85 diastolic) land on the configured BP.
+     * @param {number} pressure
+     */
+    envelope(pressure) {
+        const { systolic, diastolic } = this.settings;
+        const map = diastolic + (systolic - diastolic) / 3;
+        const width = pressure > map
+            ? (systolic - map) / Math.sqrt(-Math.log(0.55))
+            : (map - diastolic) / Math.sqrt(-Math.log(0.85));
+        const x = (pressure - map) / Math.max(width, 1);
+        return 3.0 * Math.exp(-(x * x));
+    }
+
+    /**
+     * Single-beat pulse shape: fast upstroke, decay and a dicrotic bump.
+     * @param {number} phase 0..1 within the beat
+     */
+    static waveform(phase) {
+        let v;
+        if (phase < 0.15) {
+            v = Math.sin((Math.PI / 2) * (phase / 0.15));
+        } else {
+            const notch = (phase - 0.45) / 0.05;
+            v = Math.exp(-(phase - 0.15) / 0.25) + 0.15 * Math.exp(-(notch * notch));
+        }
+        return v - 0.3; // Roughly zero-mean, as after high-pass filtering
+    }
+
+    static gaussian() {
+        // Box-Muller
+        const u = 1 - Math.random();
+        const v = Math.random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
+    /**
+     * Join frames into one chunk, as a UART would deliver them.
+     * @param {Uint8Array[]} frames
+     */
+    static concat(frames) {
+        let total = 0;
+        for (const frame of frames) total += frame.length;
+        const chunk = new Uint8Array(total);
+        let offset = 0;
+        for (const frame of frames) {
+            chunk.set(frame, offset);
+            offset += frame.length;
+        }
+        return chunk;
+    }
+}
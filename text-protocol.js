@@ -0,0 +1,85 @@
+/**
+ * LineParser class
+ * Maps one line of a text-mode board (e.g. `P:123.4,O:0.56`) to cuff and
+ * pulse values, either with a regular expression or by CSV columns.
+ */
+class LineParser {
+    /**
+     * @param {Object} options
+     * @param {string} [options.format='regex'] 'regex' | 'csv'
+     * @param {string} [options.pattern] Regex with named groups `cuff` and `pulse`
+     *   (or two capture groups, cuff first)
+     * @param {string} [options.delimiter=','] CSV delimiter
+     * @param {string} [options.cuffField='0'] CSV column index, or a label matched as `label:value` / `label=value`
+     * @param {string} [options.pulseField='1'] As cuffField
+     */
+    constructor(options = {}) {
+        this.options = Object.assign({}, LineParser.defaults, options);
+        if (this.options.format === 'regex') {
+            // Throws SyntaxError on a bad pattern; the caller reports it
+            this.regex = new RegExp(this.options.pattern);
+        } else if (this.options.format !== 'csv') {
+            throw new Error(`Unknown line format: ${this.options.format}`);
+        }
+    }
+
+    static get defaults() {
+        return {
+            format: 'regex',
+            pattern: 'P:(?<cuff>-?[\\d.]+),O:(?<pulse>-?[\\d.]+)',
+            delimiter: ',',
+            cuffField: '0',
+            pulseField: '1'
+        };
+    }
+
+    /**
+     * Turn the line-ending select's escaped value ("\\r\\n") into real characters.
+     * @param {string} value
+     */
+    static unescape(value) {
+        return value.replace(/\\r/g, '\r').replace(/\\n/g, '\n');
+    }
+
+    /**
+     * @param {string} line Without its line ending
+     * @returns {{cuff: number, pulse: number}|null} null when the line does not match
+     */
+    parse(line) {
+        const [cuff, pulse] = this.options.format === 'regex'
+            ? this.parseRegex(line)
+            : this.parseCsv(line);
+
+        const values = { cuff: parseFloat(cuff), pulse: parseFloat(pulse) };
+        if (!Number.isFinite(values.cuff) || !Number.isFinite(values.pulse)) return null;
+        return values;
+    }
+
+    parseRegex(line) {
+        const match = this.regex.exec(line);
+        if (!match) return [];
+        if (match.groups && match.groups.cuff !== undefined) {
+            return [match.groups.cuff, match.groups.pulse];
+        }
+        return [match[1], match[2]];
+    }
+
+    parseCsv(line) {
+        const cells = line.split(this.options.delimiter).map(cell => cell.trim());
+        return [this.options.cuffField, this.options.pulseField].map(field => LineParser.pick(cells, field));
+    }
+
+    /**
+     * Find a CSV cell by column index or by `label:`/`label=` prefix.
+     */
+    static pick(cells, field) {
+        const key = String(field).trim();
+        if (/^\d+$/.test(key)) return cells[Number(key)];
+
+        for (const cell of cells) {
+            const match = /^([^:=]+)[:=](.*)$/.exec(cell);
+            if (match && match[1].trim() === key) return match[2];
+        }
+        return undefined;
+    }
+}
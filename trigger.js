@@ -0,0 +1,144 @@
+/**
+ * Trigger class
+ * Decides which stretch of the stream the charts capture, like an
+ * oscilloscope trigger:
+ *   source      'cuff' pressure or 'pulse' (the filtered oscillation signal)
+ *   edge        'rising' | 'falling' crossing of `level`
+ *   preTrigger  seconds before the edge kept in a buffer and captured with it
+ *   rearmLevel  the capture ends once the cuff pressure falls below this
+ *               (mmHg); null captures until the trigger is armed again.
+ *               Cuff source only: a pulse level says nothing about where the
+ *               cuff is, so a pulse trigger has no re-arm
+ *   mode        'single' stops after one capture, 'continuous' re-arms
+ * Only a crossing counts: a signal that is already past the level when
+ * the trigger is armed has to come back and cross it.
+ */
+class Trigger {
+    /**
+     * @param {Object} settings Overrides for Trigger.defaults
+     */
+    constructor(settings = {}) {
+        this.configure(settings);
+        this.arm();
+    }
+
+    static get defaults() {
+        return {
+            source: 'cuff', // 'cuff' | 'pulse'
+            edge: 'rising', // 'rising' | 'falling'
+            level: 25, // mmHg
+            preTrigger: 1, // s
+            rearmLevel: 20, // mmHg, null = off
+            mode: 'single' // 'single' | 'continuous'
+        };
+    }
+
+    /**
+     * Trigger level per run mode: START captures from the first rise of the
+     * cuff, LINEAR once it is pumped up past the deflation start. Applied
+     * when a run begins unless the user has chosen their own level.
+     */
+    static get presets() {
+        return {
+            START: { level: 25 },
+            LINEAR: { level: 250 },
+            STATIC: { level: 25 }
+        };
+    }
+
+    /**
+     * Fill in missing fields from the defaults and check them.
+     * @param {Object} settings
+     */
+    static normalize(settings) {
+        const s = { ...Trigger.defaults, ...settings };
+        if (s.source !== 'cuff' && s.source !== 'pulse') throw new Error(`Unknown trigger source: ${s.source}`);
+        if (s.edge !== 'rising' && s.edge !== 'falling') throw new Error(`Unknown trigger edge: ${s.edge}`);
+        if (s.mode !== 'single' && s.mode !== 'continuous') throw new Error(`Unknown trigger mode: ${s.mode}`);
+        if (!Number.isFinite(s.level)) throw new Error(`Invalid trigger level: ${s.level}`);
+        if (!(s.preTrigger >= 0)) throw new Error(`Pre-trigger time must be 0 s or more, got ${s.preTrigger}`);
+        if (s.source === 'pulse') s.rearmLevel = null;
+        if (s.rearmLevel !== null && !Number.isFinite(s.rearmLevel)) throw new Error(`Invalid re-arm level: ${s.rearmLevel}`);
+        if (s.rearmLevel !== null && s.rearmLevel >= s.level) {
+            // Either edge leaves the cuff at or below the level: the capture
+            // would end as soon as it started
+            throw new Error(`Re-arm level (${s.rearmLevel} mmHg) must be below the trigger level (${s.level} mmHg)`);
+        }
+        return s;
+    }
+
+    /**
+     * Change the settings; a capture in progress carries on under the new ones.
+     * @param {Object} settings Overrides for Trigger.defaults
+     */
+    configure(settings) {
+        this.settings = Trigger.normalize(settings);
+    }
+
+    /**
+     * Wait for the next edge.
+     */
+    arm() {
+        this.phase = 'armed'; // armed | capturing | stopped
+        this.previous = null;
+        this.buffer = []; // Pre-trigger samples
+        this.triggeredAt = null;
+    }
+
+    get isCapturing() {
+        return this.phase === 'capturing';
+    }
+
+    /**
+     * Feed one sample.
+     * @param {Object} sample {time (ms), cuff, pulse, ...}; kept as it is
+     * @returns {{event: string|null, samples: Object[]}} event is 'trigger' or
+     *   'end'; samples are the ones to capture now: the pre-trigger buffer and
+     *   this sample on the trigger, this sample while capturing
+     */
+    process(sample) {
+        const s = this.settings;
+        switch (this.phase) {
+            case 'armed': {
+                const value = sample[s.source];
+                const previous = this.previous;
+                this.previous = value;
+                const crossed = previous !== null && (s.edge === 'rising'
+                    ? previous < s.level && value >= s.level
+                    : previous > s.level && value <= s.level);
+                if (!crossed) {
+                    this.buffer.push(sample);
+                    while (this.buffer.length && sample.time - this.buffer[0].time > s.preTrigger * 1000) {
+                        this.buffer.shift();
+                    }
+                    return { event: null, samples: [] };
+                }
+                const samples = [...this.buffer, sample];
+                this.buffer = [];
+                this.phase = 'capturing';
+                this.triggeredAt = sample.time;
+                return { event: 'trigger', samples };
+            }
+            case 'capturing':
+                if (s.rearmLevel !== null && sample.cuff < s.rearmLevel) {
+                    if (s.mode === 'continuous') {
+                        this.arm();
+                    } else {
+                        this.phase = 'stopped';
+                    }
+                    return { event: 'end', samples: [] };
+                }
+                return { event: null, samples: [sample] };
+        }
+        return { event: null, samples: [] };
+    }
+
+    /**
+     * Short description for logs.
+     */
+    describe() {
+        const s = this.settings;
+        const rearm = s.rearmLevel !== null ? `re-arm < ${s.rearmLevel} mmHg` : 'no re-arm';
+        return `${s.source} ${s.edge} ${s.level}, pre ${s.preTrigger} s, ${rearm}, ${s.mode}`;
+    }
+}